@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { TagManager } from '../lib/tag-manager.js';
+import { Journal } from '../lib/journal.js';
+import { loadConfig } from '../lib/config.js';
+import { createProvider } from '../lib/providers/index.js';
+import { configureSchedulers } from '../lib/scheduler.js';
+import { fetchAllUnsortedBookmarks, processBookmarks } from '../lib/classifier.js';
+import { logger, configureLogger } from '../lib/logger.js';
+import { resetUsage, usageSummary } from '../lib/usage.js';
+
+// Bookmarks handled per invocation; the rest are picked up by the next call
+const DEFAULT_LIMIT = 10;
+// Stop starting new bookmarks well before the function's maxDuration (60s in vercel.json)
+const DEFAULT_TIME_BUDGET_MS = 45000;
+// The deployment directory is read-only; only the temp directory is writable
+const JOURNAL_DIR = process.env.JOURNAL_DIR || path.join(os.tmpdir(), 'journals');
+const PAGE_CACHE_DIR = process.env.PAGE_CACHE_DIR || path.join(os.tmpdir(), 'page-cache');
+
+// Vercel cron sends `Authorization: Bearer <CRON_SECRET>`
+function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value ?? process.env.CLASSIFY_LIMIT ?? DEFAULT_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_LIMIT;
+}
+
+export default async function handler(req, res) {
+  if (!process.env.CRON_SECRET) {
+    logger.warn('⚠️ CRON_SECRET is not set, refusing to run');
+    return res.status(500).json({ ok: false, error: 'CRON_SECRET is not configured' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+
+  const startedAt = Date.now();
+  const timeBudget = parseInt(process.env.CLASSIFY_TIME_BUDGET_MS ?? DEFAULT_TIME_BUDGET_MS, 10);
+  const limit = parseLimit(req.query?.limit);
+  // Warm instances reuse the module, so usage from earlier invocations must not be counted again
+  resetUsage();
+  let journal;
+
+  try {
+    const config = await loadConfig();
+    configureSchedulers(config.scheduler);
+    config.enrichment.cacheDir = PAGE_CACHE_DIR;
+
+    logger.info(`📥 Fetching up to ${limit} unsorted bookmarks...`, { limit });
+    const bookmarks = await fetchAllUnsortedBookmarks(limit, { skipTag: config.review.tag });
+
+    // The deployment filesystem is read-only, so the bundled registry is used as-is and the
+    // embedding cache lives in the temp directory
+    const tagManager = new TagManager({ readOnly: true, config, cacheDir: os.tmpdir() });
+    await tagManager.loadTags();
+
+    // Moves that can't be journaled can't be rolled back, so a failed journal write fails the request.
+    // The temp directory doesn't outlive the instance, so the entries are returned in the response too.
+    journal = new Journal('api', undefined, { dir: JOURNAL_DIR, strict: true });
+    await journal.open();
+    configureLogger({ context: { command: 'api', runId: journal.runId } });
+    const summary = await processBookmarks(bookmarks, {
+      config,
+      provider: createProvider(config),
+      tagManager,
+      journal,
+      deadline: startedAt + timeBudget,
+      batchSize: parseInt(process.env.CLASSIFY_BATCH_SIZE, 10) || config.batchSize
+    });
+
+    return res.status(200).json({
+      ok: true,
+      runId: journal.runId,
+      fetched: bookmarks.length,
+      classified: summary.classified,
+      moved: summary.moved,
+      reviewed: summary.reviewed,
+      failed: summary.failed,
+      remaining: summary.remaining,
+      errors: summary.errors,
+      usage: usageSummary(config.pricing),
+      durationMs: Date.now() - startedAt,
+      items: summary.items,
+      journal: journal.entries
+    });
+  } catch (err) {
+    logger.error(`❌ Error: ${err.message}`, { error: err });
+    return res.status(500).json({
+      ok: false,
+      error: err.message,
+      durationMs: Date.now() - startedAt,
+      ...(journal ? { runId: journal.runId, journal: journal.entries } : {})
+    });
+  }
+}
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { loadConfig, resolveCollection } from './lib/config.js';
+import { configureSchedulers } from './lib/scheduler.js';
+import { classify, applyPlan, DEFAULT_PLAN_PATH } from './lib/commands/classify.js';
+import { cleanup } from './lib/commands/cleanup.js';
+import { DEFAULT_PROPOSALS_PATH } from './lib/cleanup-proposals.js';
+import { stats } from './lib/commands/stats.js';
+import { logger, configureLogger, LOG_LEVELS, LOG_FORMATS } from './lib/logger.js';
+import { RunReport } from './lib/run-report.js';
+import { notify } from './lib/notifiers/index.js';
+import {
+  EXIT_ERROR,
+  EXIT_USAGE,
+  EXIT_FAILURES,
+  UsageError,
+  requireValue,
+  positiveInteger
+} from './lib/cli-args.js';
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  classify        classify unsorted bookmarks and file them
+  plan [file]     classify without changing anything; write the proposed changes to a plan file
+                  (default ${DEFAULT_PLAN_PATH})
+  apply [file]    apply a reviewed plan file
+  cleanup [file]  propose tag consolidations across the category collections in a proposals file
+                  (default ${DEFAULT_PROPOSALS_PATH}), review them and apply the approved ones
+  stats           tag health report: metric trends, top tags per category, likely-noise tags,
+                  bookmarks per category and recent runs
+
+Options:
+  --limit <n>             classify at most n bookmarks (classify, plan)
+  --collection <name|id>  classify, plan: read bookmarks from this collection instead of Unsorted
+                          cleanup: only clean up these collections (repeatable or comma-separated)
+  --model <name>          use this model instead of the one in the config (classify, plan, cleanup)
+  --dry-run               show what would change without changing anything (classify, cleanup)
+  --apply                 apply an already reviewed proposals file instead of analyzing the tags (cleanup)
+  --yes, -y               don't ask for confirmation (apply, cleanup); needed when not in a terminal.
+                          cleanup then skips the interactive review and applies only approved groups
+  --batch-size <n>        bookmarks per LLM call (classify, plan)
+  --retry-failed          only retry bookmarks that failed in earlier runs (classify, plan)
+  --fresh                 start a new run instead of resuming an interrupted one (classify)
+  --html <file>           write the stats report as a static HTML page instead of printing it (stats)
+  --report <file>         write the run report here instead of reports/<runId>.json (all but stats)
+  --no-notify             don't send the run summary to the configured notification channels
+                          (classify, apply, cleanup; dry runs never notify)
+  --log-level <level>     ${LOG_LEVELS.join(', ')} (default info, or LOG_LEVEL)
+  --log-format <format>   ${LOG_FORMATS.join(', ')}; json writes one JSON object per line (default text, or LOG_FORMAT)
+  --help, -h              show this help
+
+Exit codes: 0 success, ${EXIT_ERROR} stopped on an error, ${EXIT_USAGE} invalid usage, ${EXIT_FAILURES} finished but some bookmarks failed`;
+
+// Flags each command accepts on top of GLOBAL_FLAGS, and whether it takes an optional file argument
+const COMMANDS = {
+  classify: { flags: ['--limit', '--collection', '--model', '--dry-run', '--batch-size', '--retry-failed', '--fresh', '--report', '--no-notify'] },
+  plan: { flags: ['--limit', '--collection', '--model', '--batch-size', '--retry-failed', '--report'], file: true },
+  apply: { flags: ['--yes', '--report', '--no-notify'], file: true },
+  cleanup: { flags: ['--collection', '--model', '--dry-run', '--apply', '--yes', '--report', '--no-notify'], file: true },
+  stats: { flags: ['--html'] }
+};
+const GLOBAL_FLAGS = ['--log-level', '--log-format'];
+
+// Runs that did something (or broke); cancelled and skipped runs changed nothing worth a ping
+const NOTIFY_STATUSES = ['completed', 'completed_with_failures', 'failed'];
+
+const FLAG_ALIASES = { '-y': '--yes', '-h': '--help' };
+
+// Parse `<command> [file] [flags]`, rejecting flags the command doesn't use
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {
+    help: false,
+    limit: null,
+    collections: [],
+    model: null,
+    dryRun: false,
+    apply: false,
+    yes: false,
+    batchSize: null,
+    retryFailed: false,
+    fresh: false,
+    reportPath: null,
+    htmlPath: null,
+    notify: true,
+    logLevel: undefined,
+    logFormat: undefined,
+    file: null
+  };
+
+  if (command === '--help' || command === '-h') {
+    return { command: null, options: { ...options, help: true } };
+  }
+  if (!command) {
+    throw new UsageError('Missing command');
+  }
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = FLAG_ALIASES[rest[i]] || rest[i];
+
+    if (arg === '--help') {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith('-')) {
+      if (!COMMANDS[command].file || options.file) {
+        throw new UsageError(`Unexpected argument: ${arg}`);
+      }
+      options.file = arg;
+      continue;
+    }
+    if (!COMMANDS[command].flags.includes(arg) && !GLOBAL_FLAGS.includes(arg)) {
+      throw new UsageError(`${command} doesn't take ${arg}`);
+    }
+
+    if (arg === '--limit') {
+      options.limit = positiveInteger(requireValue(rest, ++i, arg), arg);
+    } else if (arg === '--batch-size') {
+      options.batchSize = positiveInteger(requireValue(rest, ++i, arg), arg);
+    } else if (arg === '--collection') {
+      options.collections.push(...requireValue(rest, ++i, arg).split(',').map(c => c.trim()).filter(Boolean));
+    } else if (arg === '--model') {
+      options.model = requireValue(rest, ++i, arg);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--yes') {
+      options.yes = true;
+    } else if (arg === '--retry-failed') {
+      options.retryFailed = true;
+    } else if (arg === '--fresh') {
+      options.fresh = true;
+    } else if (arg === '--report') {
+      options.reportPath = requireValue(rest, ++i, arg);
+    } else if (arg === '--html') {
+      options.htmlPath = requireValue(rest, ++i, arg);
+    } else if (arg === '--no-notify') {
+      options.notify = false;
+    } else if (arg === '--log-level') {
+      options.logLevel = requireValue(rest, ++i, arg);
+      if (!LOG_LEVELS.includes(options.logLevel)) {
+        throw new UsageError(`--log-level must be one of ${LOG_LEVELS.join(', ')}`);
+      }
+    } else if (arg === '--log-format') {
+      options.logFormat = requireValue(rest, ++i, arg);
+      if (!LOG_FORMATS.includes(options.logFormat)) {
+        throw new UsageError(`--log-format must be one of ${LOG_FORMATS.join(', ')}`);
+      }
+    }
+  }
+
+  return { command, options };
+}
+
+// Collection to classify from; only one, since classified bookmarks leave it
+function sourceCollection(options, config) {
+  if (options.collections.length > 1) {
+    throw new UsageError('--collection takes a single collection for classify and plan');
+  }
+  return options.collections.length ? resolveCollection(config, options.collections[0]) : null;
+}
+
+async function run(command, options, config, report) {
+  switch (command) {
+    case 'classify':
+    case 'plan': {
+      const dryRun = command === 'plan' || options.dryRun;
+      return classify({
+        dryRun,
+        planPath: options.file || DEFAULT_PLAN_PATH,
+        limit: options.limit,
+        collectionId: sourceCollection(options, config),
+        batchSize: options.batchSize,
+        retryFailed: options.retryFailed,
+        fresh: options.fresh
+      }, config, report);
+    }
+
+    case 'apply':
+      return applyPlan({ planPath: options.file || DEFAULT_PLAN_PATH, yes: options.yes }, config, report);
+
+    case 'cleanup':
+      return cleanup({
+        collections: options.collections.length
+          ? Object.fromEntries(options.collections.map(name => [name, resolveCollection(config, name)]))
+          : null,
+        proposalsPath: options.file || DEFAULT_PROPOSALS_PATH,
+        apply: options.apply,
+        dryRun: options.dryRun,
+        yes: options.yes
+      }, config, report);
+
+  }
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  configureLogger({ level: options.logLevel, format: options.logFormat, context: { command } });
+
+  const config = await loadConfig();
+  if (options.model) config.model = options.model;
+  configureSchedulers(config.scheduler);
+
+  if (command === 'stats') {
+    await stats({ htmlPath: options.htmlPath }, config);
+    return 0;
+  }
+
+  // Written however the run ends, so a crash still leaves a report saying what got done
+  const dryRun = command === 'plan' || options.dryRun;
+  const report = new RunReport(command, { dryRun });
+  let status = 'failed';
+  try {
+    const result = await run(command, options, config, report);
+    status = result.status ?? (result.failed > 0 ? 'completed_with_failures' : 'completed');
+    return result.failed > 0 ? EXIT_FAILURES : 0;
+  } catch (error) {
+    report.addFailures([{ stage: 'run', error: error.message }]);
+    throw error;
+  } finally {
+    const finished = await report.write({ status, pricing: config.pricing, reportPath: options.reportPath });
+    if (options.notify && !dryRun && NOTIFY_STATUSES.includes(finished.status)) {
+      await notify(config.notifications, finished);
+    }
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    if (err instanceof UsageError) {
+      console.error(`❌ ${err.message}\n\n${USAGE}`);
+      process.exitCode = EXIT_USAGE;
+      return;
+    }
+    logger.error('❌ Error:', { error: err });
+    process.exitCode = EXIT_ERROR;
+  });
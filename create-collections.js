@@ -0,0 +1,142 @@
+import 'dotenv/config';
+import { fetchCollections, createCollection } from './lib/raindrop.js';
+import { CONFIG_PATH, readRawConfig, writeRawConfig } from './lib/config.js';
+import { UsageError, requireValue, runScript } from './lib/cli-args.js';
+
+const USAGE = 'Usage: node create-collections.js [--parent <name>] [--dry-run]';
+
+// Parse command-line flags (--parent <name>, --dry-run)
+function parseArgs(argv) {
+  const options = { parent: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--parent') {
+      options.parent = requireValue(argv, ++i, arg);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function normalizeTitle(title) {
+  return title.trim().toLowerCase();
+}
+
+// Find a collection by name, preferring one directly under the given parent (or at the root),
+// then one anywhere else, so an existing collection is reused rather than created twice
+function findCollection(collections, name, parentId = null) {
+  const matches = collections.filter(c => normalizeTitle(c.title) === normalizeTitle(name));
+  const preferred = parentId
+    ? matches.find(c => c.parent?.$id === parentId)
+    : matches.find(c => !c.parent);
+  return preferred || matches[0] || null;
+}
+
+async function resolveParent(collections, parentName, dryRun) {
+  if (!parentName) return null;
+
+  const existing = findCollection(collections, parentName);
+  if (existing) {
+    console.log(`📁 Using parent collection "${existing.title}" (${existing._id})`);
+    return existing._id;
+  }
+
+  if (dryRun) {
+    console.log(`🧪 Would create parent collection "${parentName}"`);
+    return null;
+  }
+
+  const created = await createCollection(parentName);
+  console.log(`✨ Created parent collection "${parentName}" (${created._id})`);
+  return created._id;
+}
+
+// Make sure a category (or subcategory) has a collection: keep a valid mapping, match an existing
+// collection by name under the parent, or create one. Returns the collection ID (null in a dry run).
+// The config is saved after every created collection, so a later failure doesn't lose its ID.
+async function ensureCollection(entry, { label, collections, collectionIds, parentId, parentName, dryRun, counts, save }) {
+  if (entry.collectionId && collectionIds.has(entry.collectionId)) {
+    console.log(`✅ "${label}" already mapped to ${entry.collectionId}`);
+    counts.matched++;
+    return entry.collectionId;
+  }
+
+  if (entry.collectionId) {
+    console.log(`⚠️ "${label}" is mapped to ${entry.collectionId}, which no longer exists`);
+  }
+
+  const existing = findCollection(collections, entry.name, parentId);
+  if (existing) {
+    entry.collectionId = existing._id;
+    const elsewhere = parentId && existing.parent?.$id !== parentId;
+    console.log(`🔗 Matched "${label}" → existing collection ${existing._id}${elsewhere ? ` (not under "${parentName}")` : ''}`);
+    counts.matched++;
+    return existing._id;
+  }
+
+  if (dryRun) {
+    console.log(`🧪 Would create collection "${label}"${parentName ? ` under "${parentName}"` : ''}`);
+    return null;
+  }
+
+  const collection = await createCollection(entry.name, parentId);
+  entry.collectionId = collection._id;
+  console.log(`✨ Created collection "${label}" (${collection._id})`);
+  counts.created++;
+  await save();
+  return collection._id;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = await readRawConfig(CONFIG_PATH, { requireCollectionIds: false });
+
+  console.log('📥 Fetching your Raindrop collections...');
+  const collections = await fetchCollections();
+  console.log(`Found ${collections.length} collections\n`);
+
+  const collectionIds = new Set(collections.map(c => c._id));
+  const parentId = await resolveParent(collections, options.parent, options.dryRun);
+  const counts = { matched: 0, created: 0 };
+  const save = () => writeRawConfig(config, CONFIG_PATH);
+  const shared = { collections, collectionIds, dryRun: options.dryRun, counts, save };
+
+  for (const category of config.categories) {
+    const categoryId = await ensureCollection(category, {
+      ...shared,
+      label: category.name,
+      parentId,
+      parentName: options.parent
+    });
+
+    // Subcategories become child collections of their category's collection
+    for (const subcategory of category.subcategories || []) {
+      if (!categoryId) {
+        console.log(`🧪 Would create collection "${category.name} / ${subcategory.name}" under "${category.name}"`);
+        continue;
+      }
+
+      await ensureCollection(subcategory, {
+        ...shared,
+        label: `${category.name} / ${subcategory.name}`,
+        parentId: categoryId,
+        parentName: category.name
+      });
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(`\n🧪 Dry run: ${CONFIG_PATH} was not changed`);
+    return;
+  }
+
+  await save();
+  console.log(`\n💾 Saved collection IDs to ${CONFIG_PATH} (${counts.matched} matched, ${counts.created} created)`);
+}
+
+runScript(main, USAGE);
@@ -0,0 +1,143 @@
+import { bulkUpdateRaindrops, updateRaindrop } from './raindrop.js';
+import { mapWithConcurrency } from './scheduler.js';
+import { categoryPath } from './config.js';
+import { logger } from './logger.js';
+
+// Raindrop's bulk endpoints take a list of IDs; keep each request to a reasonable size
+const MAX_IDS_PER_REQUEST = 100;
+
+function chunk(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Tags a bookmark gets that it doesn't have yet, in a stable order so they can key a group
+function addedTags(item) {
+  return [...new Set(item.tags.filter(tag => !item.previousTags.includes(tag)))].sort();
+}
+
+// Move bookmarks to their new collection and set their tags, using Raindrop's bulk endpoint.
+// Items have the shape produced by processBookmarks: { id, title, category, collectionId, tags,
+// previousCollectionId, previousTags }. Each item gets `status` ('moved' or 'failed', with `error`),
+// and every success is journaled. IDs a bulk call rejects are retried and reported one by one.
+export async function applyBookmarkUpdates(items, { journal, concurrency = 4 } = {}) {
+  const rejected = new Set();
+
+  const fail = (item, error) => {
+    item.status = 'failed';
+    item.error = error;
+    logger.error(`❌ Failed to update bookmark "${item.title}" (${item.id}): ${error}`, { bookmarkId: item.id, error });
+  };
+
+  const succeed = async (item) => {
+    item.status = 'moved';
+    await journal?.record(
+      { _id: item.id, title: item.title },
+      { collectionId: item.previousCollectionId, tags: item.previousTags },
+      { collectionId: item.collectionId, tags: item.tags }
+    );
+    logger.info(`✅ Updated "${item.title}" → ${categoryPath(item.category, item.subcategory)} [${item.tags.join(", ")}]`, {
+      bookmarkId: item.id,
+      collectionId: item.collectionId,
+      tags: item.tags
+    });
+  };
+
+  const pending = [];
+  for (const item of items) {
+    item.previousTags = item.previousTags || [];
+    if (!item.collectionId) {
+      fail(item, `No collection mapped for category "${item.category}"`);
+    } else {
+      pending.push(item);
+    }
+  }
+
+  // Bulk tag updates only append, so bookmarks that would lose an existing tag go one by one,
+  // as do those whose current collection is unknown (bulk calls are addressed by collection)
+  const appendable = pending.filter(item =>
+    item.previousCollectionId != null &&
+    item.previousTags.every(tag => item.tags.includes(tag))
+  );
+
+  // Bookmarks going from the same collection to the same collection with the same new tags share
+  // one bulk call. One alone in its group costs a single PUT either way, so it goes individually
+  // and the bulk path never takes more requests than updating one by one.
+  const unchanged = appendable.filter(item => item.previousCollectionId === item.collectionId && addedTags(item).length === 0);
+  const groups = [...groupBy(
+    appendable.filter(item => !unchanged.includes(item)),
+    item => JSON.stringify([item.previousCollectionId, item.collectionId, addedTags(item)])
+  ).values()];
+  const bulkRequests = groups
+    .filter(group => group.length > 1)
+    .flatMap(group => chunk(group, MAX_IDS_PER_REQUEST));
+  const individual = [
+    ...pending.filter(item => !appendable.includes(item)),
+    ...groups.filter(group => group.length === 1).flat()
+  ];
+
+  // Nothing to send for bookmarks that already are where they belong, with their tags
+  for (const item of unchanged) {
+    await succeed(item);
+  }
+
+  // 1. Bulk calls: move and append the new tags in one request per group
+  await mapWithConcurrency(bulkRequests, concurrency, async (requestItems) => {
+    const { previousCollectionId: source, collectionId: target } = requestItems[0];
+    const tags = addedTags(requestItems[0]);
+    const changes = {
+      ...(tags.length > 0 ? { tags } : {}),
+      ...(source !== target ? { collection: { $id: target } } : {})
+    };
+
+    const result = await bulkUpdateRaindrops(source, requestItems.map(item => item.id), changes);
+    if (!result.ok) {
+      logger.warn(`⚠️ Bulk update of ${requestItems.length} bookmarks in collection ${source} failed (${result.error || `${result.modified} modified`}), retrying individually`);
+      requestItems.forEach(item => rejected.add(item));
+      return;
+    }
+
+    for (const item of requestItems) {
+      await succeed(item);
+    }
+  });
+
+  // 2. Everything else, and what the bulk calls couldn't handle, one PUT per bookmark so each
+  // failure is reported
+  const singles = [...individual, ...rejected];
+  await mapWithConcurrency(singles, concurrency, async (item) => {
+    const resp = await updateRaindrop(item.id, {
+      collection: { $id: item.collectionId },
+      tags: item.tags,
+    });
+
+    if (resp.ok) {
+      await succeed(item);
+    } else {
+      fail(item, `HTTP ${resp.status}: ${await resp.text()}`);
+    }
+  });
+
+  const moved = items.filter(item => item.status === 'moved').length;
+  logger.info(`📦 Applied ${moved}/${items.length} updates with ${bulkRequests.length} bulk and ${singles.length} individual requests`, {
+    moved,
+    total: items.length,
+    bulkRequests: bulkRequests.length,
+    individualRequests: singles.length
+  });
+
+  return { moved, failed: items.length - moved };
+}
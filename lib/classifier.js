@@ -0,0 +1,507 @@
+import fs from 'fs/promises';
+import { fetchRaindropsPage } from './raindrop.js';
+import { mapWithConcurrency } from './scheduler.js';
+import { applyBookmarkUpdates } from './bulk-update.js';
+import { getPageContents, describePageContent } from './page-content.js';
+import { applyRules } from './rules.js';
+import { detectContentType, getContentTypeInstructions } from './content-types.js';
+import { categoryPath, parseCategoryPath, collectionFor } from './config.js';
+import { logger } from './logger.js';
+
+// Fetch unsorted bookmarks (from collection -1), stopping early once `limit` are found. Those tagged `skipTag` (the review tag) were already
+// classified and left in Unsorted for a human, so they don't count toward the limit and aren't
+// sent to the model again; neither do those failing `filter` (e.g. already done in a resumed run).
+export async function fetchAllUnsortedBookmarks(limit = Infinity, { skipTag = null, filter = () => true } = {}) {
+  let page = 0;
+  const perpage = 50;
+  let all = [];
+
+  while (all.length < limit) {
+    // Changed from collection 0 to collection -1 (unsorted)
+    const items = await fetchRaindropsPage(-1, page, perpage);
+
+    if (items.length === 0) break; // no more results
+
+    // Additional filter to ensure we only get truly unsorted bookmarks
+    all = all.concat(items.filter(bookmark =>
+      bookmark.collection.$id === -1 && !(skipTag && bookmark.tags?.includes(skipTag)) && filter(bookmark)
+    ));
+
+    page++;
+  }
+
+  return all.slice(0, limit);
+}
+
+// Fetch every bookmark in a collection that passes `filter`
+export async function fetchCollectionBookmarks(collectionId, filter = () => true) {
+  let page = 0;
+  const perpage = 50;
+  const all = [];
+
+  while (true) {
+    const items = await fetchRaindropsPage(collectionId, page, perpage);
+    if (items.length === 0) break;
+
+    all.push(...items.filter(filter));
+    page++;
+  }
+
+  return all;
+}
+
+// One line per category for the category prompt, with its description, example keywords and
+// example titles. With withSubcategories, each category's subcategories are listed under it.
+function describeCategories(categories, { withSubcategories = false, indent = '' } = {}) {
+  return categories.map(({ name, description, keywords, examples, subcategories }) => {
+    let line = `${indent}- ${name}`;
+    if (description) line += `: ${description}`;
+    if (keywords?.length) line += ` (e.g. ${keywords.join(", ")})`;
+    if (examples?.length) line += `; examples: ${examples.map(e => `"${e}"`).join(", ")}`;
+    if (withSubcategories && subcategories) {
+      line += `\n${describeCategories(subcategories, { indent: `${indent}  ` })}`;
+    }
+    return line;
+  }).join("\n");
+}
+
+// Confidence as a number between 0 and 1, or null if the model didn't give a usable one
+function normalizeConfidence(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || Number.isNaN(number)) return null;
+  // Some models answer in percent
+  return Math.min(1, Math.max(0, number > 1 ? number / 100 : number));
+}
+
+function normalizeAlternatives(alternatives) {
+  if (!Array.isArray(alternatives)) return [];
+  return alternatives
+    .filter(alt => typeof alt?.category === 'string')
+    .map(alt => ({ category: alt.category, confidence: normalizeConfidence(alt.confidence) }));
+}
+
+// Why a classification should go to the review queue instead of being filed, or null if it shouldn't
+export function reviewReason({ category, confidence }, config) {
+  if (config.collections[category] === undefined) {
+    return `unknown category "${category}"`;
+  }
+  if (confidence === null || confidence === undefined) {
+    return 'no confidence reported';
+  }
+  if (confidence < config.review.threshold) {
+    return `confidence ${confidence.toFixed(2)} below ${config.review.threshold}`;
+  }
+  return null;
+}
+
+// Prompt lines describing a bookmark, plus any fetched page content (see page-content.js)
+function describeBookmark(bookmark, pageContent, config) {
+  return [
+    `Title: ${bookmark.title}`,
+    `Excerpt: ${bookmark.excerpt || "N/A"}`,
+    `Link: ${bookmark.link}`,
+    ...describePageContent(pageContent, config.enrichment.maxTokens)
+  ];
+}
+
+const CONFIDENCE_INSTRUCTIONS = `- "confidence": how sure you are that the category is right, from 0 to 1
+- "alternatives": up to 2 other plausible categories with their confidence
+- "reasoning": one short sentence explaining the choice`;
+
+// For categories with subcategories: pick one using the parent's subcategory definitions.
+// Returns { subcategory, confidence }, with subcategory null when none fits (or the model is unsure).
+async function classifySubcategory(category, details, contentType, { config, provider }) {
+  const parent = config.categories.find(c => c.name === category);
+  if (!parent?.subcategories) return { subcategory: null, confidence: null };
+
+  const subcategoryPrompt = `This bookmark belongs in the "${category}" category${parent.description ? ` (${parent.description})` : ''}. Pick the subcategory that fits it best:
+${describeCategories(parent.subcategories)}
+- None: none of these fits well
+
+Bookmark:
+${details}
+- Content Type: ${contentType}
+
+Return JSON only:
+{"subcategory": "...", "confidence": 0.0}`;
+
+  const result = await provider.completeJSON(subcategoryPrompt);
+  const match = parent.subcategories.find(s => s.name === result?.subcategory);
+  const confidence = normalizeConfidence(result?.confidence);
+
+  // Filing under the parent is the safe choice when the model isn't sure
+  const confident = match && (confidence === null || confidence >= config.review.threshold);
+  return { subcategory: confident ? match.name : null, confidence };
+}
+
+// Ask the LLM to suggest a category + tags (two-pass approach, with a subcategory pass in between
+// for categories that have subcategories)
+export async function classifyBookmark(bookmark, { config, provider, tagManager, pageContents, ruleOutcomes }) {
+  const rule = ruleOutcomes?.get(bookmark._id);
+  const ruleTarget = rule?.category ? parseCategoryPath(config, rule.category) : null;
+
+  // First pass: Detect category and content type
+  const contentType = rule?.contentType || detectContentType(bookmark);
+  const contentInstructions = getContentTypeInstructions(contentType);
+  const details = describeBookmark(bookmark, pageContents?.get(bookmark._id), config)
+    .map(line => `- ${line}`)
+    .join("\n");
+  
+  const categoryPrompt = `Classify the following bookmark into one of these categories:
+${describeCategories(config.categories)}
+
+Bookmark:
+${details}
+- Content Type: ${contentType}
+
+Also report:
+${CONFIDENCE_INSTRUCTIONS}
+
+Return JSON only:
+{"category": "...", "confidence": 0.0, "alternatives": [{"category": "...", "confidence": 0.0}], "reasoning": "..."}`;
+
+  // A rule that fixes the category saves the first call
+  const categoryResult = ruleTarget
+    ? { category: ruleTarget.category, confidence: 1, alternatives: [], reasoning: null }
+    : await provider.completeJSON(categoryPrompt);
+  const { category } = categoryResult;
+
+  const { subcategory, confidence: subcategoryConfidence } = ruleTarget?.subcategory
+    ? { subcategory: ruleTarget.subcategory, confidence: 1 }
+    : await classifySubcategory(category, details, contentType, { config, provider });
+  const path = categoryPath(category, subcategory);
+  
+  // Second pass: Get dynamic tag context (scoped to the subcategory) and generate tags
+  const tagContext = tagManager.getCombinedTagContext(path);
+  const categoryTagsList = tagContext.categoryTags.map(t => `${t.tag} (${t.count}×)`).join(", ");
+  const globalTagsList = tagContext.globalTags.map(t => `${t.tag} (${t.count}×)`).join(", ");
+  
+  const tagPrompt = `Generate tags for this ${contentType} in the "${path}" category:
+
+Bookmark:
+${details}
+
+${categoryTagsList ? `Popular tags in "${path}": ${categoryTagsList}
+
+` : ''}${globalTagsList ? `Popular global tags: ${globalTagsList}
+
+` : ''}Content-Specific Guidance: ${contentInstructions}
+
+Tag Guidelines:
+- Use 3-5 tags per bookmark (prefer 3-4 unless content is very broad)
+- Use lowercase with hyphens (e.g., "machine-learning", "web-development")
+- Prioritize reusing existing popular tags when relevant
+- Keep tags concise and descriptive
+- Avoid redundant or overly generic tags
+${rule?.forbidTags.length ? `- Never use these tags: ${rule.forbidTags.join(", ")}\n` : ''}- ${contentType === 'tool' ? 'Include functionality and technology tags' : ''}
+- ${contentType === 'tutorial' ? 'Include skill level and learning-related tags' : ''}
+- ${contentType === 'video' ? 'Include platform and format tags' : ''}
+
+Good examples: ["react", "frontend", "tutorial"] or ["ai", "machine-learning", "tool"]
+Avoid: ["general", "interesting", "good", "useful"]
+
+Return JSON only:
+{"tags": ["tag1", "tag2", "tag3"]}`;
+
+  const { tags } = await provider.completeJSON(tagPrompt);
+  
+  // Process tags through TagManager
+  const processedTags = await tagManager.processAITags(tags || [], path);
+  await tagManager.saveTags();
+  
+  return {
+    category,
+    subcategory,
+    subcategoryConfidence,
+    tags: processedTags,
+    contentType,
+    confidence: normalizeConfidence(categoryResult.confidence),
+    alternatives: normalizeAlternatives(categoryResult.alternatives),
+    reasoning: typeof categoryResult.reasoning === 'string' ? categoryResult.reasoning : null
+  };
+}
+
+// Classify several bookmarks with a single LLM call. Returns a Map of bookmark _id → result
+// holding only the items the model answered validly; callers fall back to classifyBookmark for the rest.
+export async function classifyBatch(bookmarks, { config, provider, tagManager, pageContents, ruleOutcomes }) {
+  const contentTypes = new Map(bookmarks.map(b => [b._id, ruleOutcomes?.get(b._id)?.contentType || detectContentType(b)]));
+  const popularTags = tagManager.getPopularTags(15).map(t => `${t.tag} (${t.count}×)`).join(", ");
+
+  const bookmarkList = bookmarks.map(bookmark => {
+    const contentType = contentTypes.get(bookmark._id);
+    const rule = ruleOutcomes?.get(bookmark._id);
+    const lines = describeBookmark(bookmark, pageContents?.get(bookmark._id), config);
+    if (rule?.category) lines.push(`Category: ${rule.category} (already decided, use it)`);
+    if (rule?.forbidTags.length) lines.push(`Never use these tags: ${rule.forbidTags.join(", ")}`);
+    return `- id: ${bookmark._id}
+${lines.map(line => `  ${line}`).join("\n")}
+  Content Type: ${contentType} (${getContentTypeInstructions(contentType)})`;
+  }).join("\n");
+
+  const hasSubcategories = config.categories.some(c => c.subcategories);
+  const batchPrompt = `Classify each of the following bookmarks into one of these categories${hasSubcategories ? ' (and, where a category lists subcategories, the best-fitting subcategory or null)' : ''} and generate tags for it:
+${describeCategories(config.categories, { withSubcategories: true })}
+
+Bookmarks:
+${bookmarkList}
+
+${popularTags ? `Popular existing tags: ${popularTags}
+
+` : ''}Tag Guidelines:
+- Use 3-5 tags per bookmark (prefer 3-4 unless content is very broad)
+- Use lowercase with hyphens (e.g., "machine-learning", "web-development")
+- Prioritize reusing existing popular tags when relevant
+- Follow the guidance given for each bookmark's content type
+- Avoid redundant or overly generic tags such as "general", "interesting", "good", "useful"
+
+For each bookmark also report:
+${CONFIDENCE_INSTRUCTIONS}
+
+Return JSON only, with one result per bookmark id:
+{"results": [{"id": 123, "category": "...", ${hasSubcategories ? '"subcategory": "...", ' : ''}"confidence": 0.0, "alternatives": [{"category": "...", "confidence": 0.0}], "reasoning": "...", "tags": ["tag1", "tag2", "tag3"]}]}`;
+
+  const results = new Map();
+  let response;
+
+  try {
+    response = await provider.completeJSON(batchPrompt);
+  } catch (error) {
+    logger.warn(`⚠️ Batch classification failed (${error.message}), falling back to per-item classification`, { error });
+    return results;
+  }
+
+  const wanted = new Set(bookmarks.map(b => b._id));
+
+  for (const entry of Array.isArray(response?.results) ? response.results : []) {
+    const id = Number(entry?.id);
+    const ruleTarget = ruleOutcomes?.get(id)?.category ? parseCategoryPath(config, ruleOutcomes.get(id).category) : null;
+    const category = ruleTarget?.category ?? entry?.category;
+    const valid = wanted.has(id) &&
+      !results.has(id) &&
+      config.collections[category] !== undefined &&
+      Array.isArray(entry.tags) &&
+      entry.tags.length > 0 &&
+      entry.tags.every(tag => typeof tag === 'string');
+
+    if (!valid) continue;
+
+    // Unknown subcategories fall back to filing under the category
+    const subcategory = ruleTarget?.subcategory ??
+      config.categories.find(c => c.name === category).subcategories?.find(s => s.name === entry.subcategory)?.name ??
+      null;
+
+    results.set(id, {
+      category,
+      subcategory,
+      tags: await tagManager.processAITags(entry.tags, categoryPath(category, subcategory)),
+      contentType: contentTypes.get(id),
+      confidence: normalizeConfidence(entry.confidence),
+      alternatives: normalizeAlternatives(entry.alternatives),
+      reasoning: typeof entry.reasoning === 'string' ? entry.reasoning : null
+    });
+  }
+
+  await tagManager.saveTags();
+
+  return results;
+}
+
+// Apply the rules matching a bookmark on top of a classification: a fixed category and content
+// type, extra tags, and forbidden tags removed
+async function applyRuleOutcome(result, outcome, tagManager, config) {
+  const target = outcome.category ? parseCategoryPath(config, outcome.category) : null;
+  const category = target?.category ?? result.category;
+  // A rule naming just the category keeps the subcategory the model picked within it
+  const subcategory = target?.subcategory ?? (category === result.category ? result.subcategory ?? null : null);
+  const forbidden = new Set(outcome.forbidTags.flatMap(tag => [tagManager.normalizeTag(tag), tagManager.resolveAlias(tag)]));
+  const added = outcome.addTags.length ? await tagManager.processAITags(outcome.addTags, categoryPath(category, subcategory)) : [];
+  if (added.length) await tagManager.saveTags();
+
+  return {
+    ...result,
+    category,
+    subcategory,
+    contentType: outcome.contentType ?? result.contentType,
+    tags: [...new Set([...result.tags, ...added])].filter(tag => !forbidden.has(tag)),
+    ...(outcome.category ? {
+      confidence: 1,
+      alternatives: [],
+      reasoning: `Category set by rule: ${outcome.rules.join(", ")}`
+    } : {}),
+    rules: outcome.rules
+  };
+}
+
+// Classify each bookmark, then move them all with bulk updates (or only record the proposals
+// when dryRun is set). With batchSize > 1, bookmarks are classified batchSize at a time by
+// classifyBatch. Up to config.scheduler.concurrency batches run at once; request pacing is left
+// to the shared schedulers. No new batch is started once `deadline` (epoch ms) has passed.
+// Bookmarks that can't be classified are skipped and listed in `errors`.
+export async function processBookmarks(bookmarks, {
+  config,
+  provider,
+  tagManager,
+  journal,
+  dryRun = false,
+  deadline = Infinity,
+  batchSize = config.batchSize,
+  concurrency = config.scheduler.concurrency
+}) {
+  const summary = { classified: 0, decidedByRules: 0, moved: 0, reviewed: 0, failed: 0, remaining: 0, items: [], errors: [] };
+  const context = { config, provider, tagManager };
+
+  const batches = [];
+  for (let start = 0; start < bookmarks.length; start += batchSize) {
+    batches.push(bookmarks.slice(start, start + batchSize));
+  }
+
+  const batchItems = await mapWithConcurrency(batches, concurrency, async (batch) => {
+    if (Date.now() >= deadline) {
+      summary.remaining += batch.length;
+      return [];
+    }
+
+    // Rules run first; bookmarks they fully decide never reach the model
+    const ruleOutcomes = new Map(batch
+      .map(bookmark => [bookmark._id, applyRules(bookmark, config.rules)])
+      .filter(([, outcome]) => outcome));
+    const toClassify = batch.filter(bookmark => !ruleOutcomes.get(bookmark._id)?.decided);
+
+    // Thin excerpts are filled in from the page itself when enrichment is enabled
+    const batchContext = { ...context, ruleOutcomes, pageContents: await getPageContents(toClassify, config.enrichment) };
+    let batchResults = new Map();
+
+    if (toClassify.length > 1) {
+      logger.info(`📦 Classifying batch of ${toClassify.length} bookmarks...`, { size: toClassify.length });
+      batchResults = await classifyBatch(toClassify, batchContext);
+    }
+
+    const items = [];
+
+    for (const bookmark of batch) {
+      const outcome = ruleOutcomes.get(bookmark._id);
+      let result = outcome?.decided
+        ? { category: outcome.category, tags: [], contentType: detectContentType(bookmark) }
+        : batchResults.get(bookmark._id);
+
+      // One bad reply (e.g. malformed JSON) fails that bookmark, not the whole run
+      try {
+        if (!result) {
+          if (toClassify.length > 1) {
+            logger.info(` ↩️ "${bookmark.title}" missing or invalid in batch response, classifying individually`, { bookmarkId: bookmark._id });
+          }
+          result = await classifyBookmark(bookmark, batchContext);
+        }
+
+        if (outcome) {
+          result = await applyRuleOutcome(result, outcome, tagManager, config);
+          summary.decidedByRules += outcome.decided ? 1 : 0;
+        }
+      } catch (error) {
+        logger.error(`❌ Could not classify "${bookmark.title}" (${bookmark._id}): ${error.message}\n`, { bookmarkId: bookmark._id, error });
+        summary.errors.push({ id: bookmark._id, title: bookmark.title, stage: 'classify', error: error.message });
+        continue;
+      }
+
+      const { category, subcategory = null, tags, contentType, confidence, alternatives, reasoning } = result;
+      const review = reviewReason(result, config);
+      summary.classified++;
+
+      logger.info([
+        `🔎 ${bookmark.title}`,
+        ` → Content type: ${contentType}`,
+        ` → Category: ${categoryPath(category, subcategory)}${confidence !== null ? ` (confidence ${confidence.toFixed(2)})` : ''}`,
+        ` → Tags: ${tags.join(", ")}`,
+        ...(outcome ? [` → Rules: ${outcome.rules.join(", ")}${outcome.decided ? ' (no LLM call)' : ''}`] : []),
+        ...(review ? [` → 👀 Needs review: ${review}`] : []),
+        ''
+      ].join('\n'), {
+        bookmarkId: bookmark._id,
+        contentType,
+        category: categoryPath(category, subcategory),
+        confidence,
+        tags,
+        rules: outcome?.rules,
+        review
+      });
+
+      const item = {
+        id: bookmark._id,
+        title: bookmark.title,
+        link: bookmark.link,
+        category,
+        subcategory,
+        collectionId: collectionFor(config, category, subcategory),
+        contentType,
+        tags,
+        confidence,
+        alternatives,
+        reasoning,
+        ...(outcome ? { rules: outcome.rules } : {}),
+        previousCollectionId: bookmark.collection.$id,
+        previousTags: bookmark.tags || []
+      };
+
+      // Uncertain guesses are tagged and parked in the review collection (or left where they are)
+      if (review) {
+        item.review = review;
+        item.collectionId = config.review.collectionId ?? bookmark.collection.$id;
+        item.tags = [...tags, config.review.tag];
+      }
+
+      items.push(item);
+    }
+
+    return items;
+  });
+
+  if (summary.remaining > 0) {
+    logger.warn(`⏱️ Time budget reached, leaving ${summary.remaining} bookmarks for the next run`, { remaining: summary.remaining });
+  }
+
+  summary.items = batchItems.flat();
+  summary.failed = summary.errors.length;
+
+  if (!dryRun && summary.items.length > 0) {
+    const { failed } = await applyBookmarkUpdates(summary.items, { journal, concurrency });
+    summary.items
+      .filter(item => item.review && item.status === 'moved')
+      .forEach(item => { item.status = 'review'; });
+    summary.reviewed = summary.items.filter(item => item.status === 'review').length;
+    summary.moved = summary.items.filter(item => item.status === 'moved').length;
+    summary.failed += failed;
+  }
+
+  return summary;
+}
+
+// Markdown list of the bookmarks sent to review, with the model's guess and reasoning
+export async function writeReviewReport(items, reportPath) {
+  const reviewItems = items.filter(item => item.review);
+  if (reviewItems.length === 0) return 0;
+
+  const formatConfidence = (confidence) => confidence === null ? 'n/a' : confidence.toFixed(2);
+  const lines = [
+    `# Bookmarks needing review`,
+    '',
+    `Generated ${new Date().toISOString()} — ${reviewItems.length} bookmarks`,
+    ''
+  ];
+
+  for (const item of reviewItems) {
+    lines.push(`## [${item.title}](${item.link})`);
+    lines.push('');
+    lines.push(`- ID: ${item.id}`);
+    lines.push(`- Why: ${item.review}`);
+    lines.push(`- Best guess: ${categoryPath(item.category, item.subcategory)} (confidence ${formatConfidence(item.confidence)})`);
+    if (item.alternatives?.length) {
+      lines.push(`- Alternatives: ${item.alternatives.map(alt => `${alt.category} (${formatConfidence(alt.confidence)})`).join(', ')}`);
+    }
+    lines.push(`- Reasoning: ${item.reasoning || 'n/a'}`);
+    lines.push(`- Tags: ${item.tags.join(', ')}`);
+    lines.push('');
+  }
+
+  await fs.writeFile(reportPath, lines.join('\n'));
+  return reviewItems.length;
+}
@@ -0,0 +1,117 @@
+import fs from 'fs/promises';
+import { openPrompt } from './confirm.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_PROPOSALS_PATH = 'cleanup-proposals.json';
+
+const STATUSES = ['pending', 'approved', 'rejected', 'applied'];
+
+// Bookmarks carrying at least one of the group's variants, i.e. the ones applying it would change
+export function countAffected(group, bookmarks) {
+  const variants = new Set(group.variants);
+  return bookmarks.filter(bookmark => bookmark.tags?.some(tag => variants.has(tag))).length;
+}
+
+// Consolidation groups from the model as reviewable proposals. Variants exclude the canonical tag,
+// and pairs rejected in an earlier review are dropped (`isRejected(variant, canonical)`).
+export function buildProposals(groups, bookmarks, isRejected) {
+  const proposals = groups
+    .map(group => ({
+      canonical: group.canonical,
+      variants: [...new Set(group.variants)].filter(v => v !== group.canonical && !isRejected(v, group.canonical)),
+      reason: group.reason
+    }))
+    .filter(group => group.variants.length > 0)
+    .map((group, index) => ({
+      id: index + 1,
+      status: 'pending',
+      canonical: group.canonical,
+      variants: group.variants,
+      bookmarks: countAffected(group, bookmarks),
+      reason: group.reason
+    }));
+
+  return {
+    createdAt: new Date().toISOString(),
+    instructions: 'Set each group\'s "status" to "approved" or "rejected" (edit "canonical" and "variants" as needed), then run: node cli.js cleanup --apply',
+    groups: proposals
+  };
+}
+
+function validateProposals(proposals) {
+  if (!proposals || !Array.isArray(proposals.groups)) {
+    return ['"groups" must be an array'];
+  }
+
+  return proposals.groups.flatMap((group, index) => {
+    const label = `groups[${index}]`;
+    const errors = [];
+    if (!STATUSES.includes(group.status)) {
+      errors.push(`${label}: "status" must be one of ${STATUSES.join(', ')}`);
+    }
+    if (typeof group.canonical !== 'string' || !group.canonical.trim()) {
+      errors.push(`${label}: "canonical" must be a non-empty string`);
+    }
+    if (!Array.isArray(group.variants) || !group.variants.every(v => typeof v === 'string' && v.trim())) {
+      errors.push(`${label}: "variants" must be an array of tags`);
+    } else if (group.variants.includes(group.canonical)) {
+      errors.push(`${label}: "${group.canonical}" is both the canonical tag and a variant`);
+    }
+    return errors;
+  });
+}
+
+export async function readProposals(proposalsPath) {
+  const proposals = JSON.parse(await fs.readFile(proposalsPath, 'utf8'));
+  const errors = validateProposals(proposals);
+  if (errors.length > 0) {
+    throw new Error(`Invalid cleanup proposals in ${proposalsPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return proposals;
+}
+
+export async function writeProposals(proposalsPath, proposals) {
+  await fs.writeFile(proposalsPath, JSON.stringify(proposals, null, 2));
+}
+
+function describe(group) {
+  return `"${group.canonical}" ← [${group.variants.join(', ')}] (${group.bookmarks} bookmarks)`;
+}
+
+// Ask about each pending group on the terminal: approve, reject, edit (then approve), skip (stays
+// pending) or quit. Decisions are written to the file as they're made, so quitting keeps them.
+export async function reviewProposals(proposals, proposalsPath, bookmarks) {
+  const pending = proposals.groups.filter(group => group.status === 'pending');
+  // One prompt for the whole review, so answers typed ahead aren't lost between questions
+  const prompt = openPrompt();
+  const ask = async (question) => (await prompt.question(question)).trim();
+
+  try {
+    await reviewGroups(pending, { ask, proposals, proposalsPath, bookmarks });
+  } finally {
+    prompt.close();
+  }
+}
+
+async function reviewGroups(pending, { ask, proposals, proposalsPath, bookmarks }) {
+  for (const [index, group] of pending.entries()) {
+    logger.info(`\n🔗 [${index + 1}/${pending.length}] ${describe(group)}${group.reason ? `\n   Reason: ${group.reason}` : ''}`);
+    const answer = (await ask('   [a]pprove, [r]eject, [e]dit, [s]kip, [q]uit? ')).toLowerCase();
+
+    if (answer === 'q') break;
+    if (answer === 'a') group.status = 'approved';
+    if (answer === 'r') group.status = 'rejected';
+    if (answer === 'e') {
+      const canonical = await ask(`   Canonical tag [${group.canonical}]: `) || group.canonical;
+      const variants = await ask(`   Variants [${group.variants.join(', ')}]: `);
+      group.canonical = canonical;
+      group.variants = (variants ? variants.split(',').map(v => v.trim()) : group.variants)
+        .filter(v => v && v !== canonical);
+      group.bookmarks = countAffected(group, bookmarks);
+      group.status = group.variants.length > 0 ? 'approved' : 'rejected';
+      logger.info(`   ${group.status === 'approved' ? '✅ Approved' : '🚫 Nothing left to merge, rejected'}: ${describe(group)}`);
+    }
+
+    await writeProposals(proposalsPath, proposals);
+  }
+}
@@ -0,0 +1,42 @@
+// Argument parsing helpers and exit codes shared by cli.js and the standalone scripts (rollback.js,
+// reclassify.js, manage-aliases.js, create-collections.js)
+
+// Exit codes: the workflow (and anything else scripting the CLI) can tell a clean run from one
+// where bookmarks failed, and both from a run that stopped early
+export const EXIT_ERROR = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_FAILURES = 3;
+
+// Invalid command line; reported with the usage text and EXIT_USAGE
+export class UsageError extends Error {}
+
+export function requireValue(argv, i, flag) {
+  if (argv[i] === undefined || /^-\D/.test(argv[i])) {
+    throw new UsageError(`${flag} needs a value`);
+  }
+  return argv[i];
+}
+
+export function positiveInteger(value, flag) {
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`${flag} must be a positive integer`);
+  }
+  return number;
+}
+
+// Run a script's main() and set the exit code: what main resolves to (0 if nothing), EXIT_USAGE
+// for a UsageError, EXIT_ERROR for anything else
+export function runScript(main, usage = null) {
+  return main()
+    .then(code => { process.exitCode = code ?? 0; })
+    .catch(err => {
+      if (err instanceof UsageError) {
+        console.error(`❌ ${err.message}${usage ? `\n\n${usage}` : ''}`);
+        process.exitCode = EXIT_USAGE;
+        return;
+      }
+      console.error("❌ Error:", err);
+      process.exitCode = EXIT_ERROR;
+    });
+}
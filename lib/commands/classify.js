@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import { TagManager } from '../tag-manager.js';
+import { Journal } from '../journal.js';
+import { RunState } from '../run-state.js';
+import { fetchRaindrop } from '../raindrop.js';
+import { categoryPath, collectionFor } from '../config.js';
+import { createProvider } from '../providers/index.js';
+import { confirm } from '../confirm.js';
+import {
+  fetchAllUnsortedBookmarks,
+  fetchCollectionBookmarks,
+  processBookmarks,
+  writeReviewReport
+} from '../classifier.js';
+import { applyBookmarkUpdates } from '../bulk-update.js';
+import { logger } from '../logger.js';
+
+export const DEFAULT_PLAN_PATH = 'classification-plan.json';
+// Bookmarks classified and applied between run-state checkpoints
+const CHECKPOINT_SIZE = 25;
+
+// Write the proposed changes to a plan file for review instead of updating Raindrop
+async function writePlan(planPath, items) {
+  const plan = {
+    createdAt: new Date().toISOString(),
+    items
+  };
+
+  await fs.writeFile(planPath, JSON.stringify(plan, null, 2));
+  logger.info(`📝 Wrote plan for ${items.length} bookmarks to ${planPath}`);
+}
+
+// Carry out a previously reviewed plan, updating only the listed bookmarks
+export async function applyPlan({ planPath = DEFAULT_PLAN_PATH, yes = false }, config, report) {
+  logger.info(`📋 Applying plan from ${planPath}...`);
+  const plan = JSON.parse(await fs.readFile(planPath, 'utf8'));
+
+  if (!Array.isArray(plan.items)) {
+    throw new Error(`Plan file ${planPath} has no "items" array`);
+  }
+
+  if (!await confirm(`Apply ${plan.items.length} planned updates?`, { yes })) {
+    logger.info('🚫 Cancelled, nothing was changed');
+    return { failed: 0, status: 'cancelled' };
+  }
+
+  const tagManager = new TagManager();
+  await tagManager.loadTags();
+
+  const journal = new Journal('apply');
+  report.setRunId(journal.runId);
+  logger.info(`🧾 Journaling changes to ${journal.path}`);
+
+  const items = plan.items.map(item => ({
+    ...item,
+    tags: item.tags || [],
+    collectionId: item.collectionId ?? collectionFor(config, item.category, item.subcategory)
+  }));
+
+  const { moved, failed } = await applyBookmarkUpdates(items, {
+    journal,
+    concurrency: config.scheduler.concurrency
+  });
+
+  // Usage was not recorded during the dry run, so count it now
+  items
+    .filter(item => item.status === 'moved')
+    .forEach(item => item.tags
+      .filter(tag => tag !== config.review.tag)
+      .forEach(tag => tagManager.addTag(tag, categoryPath(item.category, item.subcategory))));
+
+  await tagManager.saveTags();
+
+  report.count('bookmarks', items.length);
+  report.addSummary({
+    moved,
+    failed,
+    items: items.filter(item => item.status === 'moved' || item.status === 'failed'),
+    errors: []
+  });
+  report.addTagChanges(tagManager);
+
+  logger.info(`✨ Applied ${moved}/${plan.items.length} planned updates (${failed} failed or skipped)`);
+  return { failed };
+}
+
+// Bookmarks that failed in earlier runs and are still in the source collection (Unsorted by
+// default). Failures that no longer apply (bookmark deleted or filed by hand) are dropped from the state.
+async function fetchFailedBookmarks(state, sourceCollectionId) {
+  const bookmarks = [];
+
+  for (const id of state.failedIds()) {
+    const bookmark = await fetchRaindrop(id);
+    if (bookmark?.collection.$id === sourceCollectionId) {
+      bookmarks.push(bookmark);
+    } else {
+      state.clearFailure(id);
+    }
+  }
+
+  await state.save();
+  return bookmarks;
+}
+
+// Classify the bookmarks in Unsorted (or options.collectionId) and file them, or with dryRun write
+// the proposed changes to a plan file. Returns { failed }, the number of bookmarks that failed.
+export async function classify(options, config, report) {
+  const sourceCollectionId = options.collectionId ?? -1;
+  const limit = options.limit ?? Infinity;
+
+  // Dry runs read the state (for --retry-failed) but never resume or record anything
+  const state = new RunState({ readOnly: options.dryRun });
+  await state.load();
+
+  const interrupted = options.dryRun || options.fresh ? null : state.interruptedRun('classify');
+  if (interrupted) {
+    logger.info(`⏯️  Resuming interrupted run ${interrupted.runId} (last processed bookmark ${interrupted.lastProcessedId ?? 'none'} at ${interrupted.lastProcessedAt ?? 'n/a'})`);
+  }
+
+  // Bookmarks the interrupted run already handled are dropped before the limit applies, so a
+  // resumed run still gets up to `limit` new ones
+  const pending = interrupted
+    ? bookmark => !state.isProcessed(interrupted.runId, bookmark._id)
+    : () => true;
+
+  let bookmarks;
+  if (options.retryFailed) {
+    logger.info("📥 Fetching bookmarks that failed in earlier runs...");
+    bookmarks = (await fetchFailedBookmarks(state, sourceCollectionId)).filter(pending).slice(0, limit);
+  } else if (sourceCollectionId !== -1) {
+    logger.info(`📥 Fetching bookmarks from collection ${sourceCollectionId}...`);
+    bookmarks = (await fetchCollectionBookmarks(sourceCollectionId, pending)).slice(0, limit);
+  } else {
+    logger.info("📥 Fetching unsorted bookmarks...");
+    bookmarks = await fetchAllUnsortedBookmarks(limit, { skipTag: config.review.tag, filter: pending });
+    logger.debug(`Collection IDs of fetched bookmarks: ${[...new Set(bookmarks.map(b => b.collection.$id))].join(', ')}`);
+  }
+
+  if (!bookmarks.length) {
+    logger.info(options.retryFailed ? "🎉 No failed bookmarks to retry!" : "🎉 No unsorted bookmarks left!");
+    if (interrupted) await state.finishRun(interrupted.runId);
+    return { failed: 0 };
+  }
+
+  logger.info(`Found ${bookmarks.length} ${options.retryFailed ? 'failed' : 'truly unsorted'} bookmarks${interrupted ? ' left in this run' : ''}.\n`);
+
+  if (options.dryRun) {
+    logger.info(`🧪 Dry run: no bookmarks will be changed, plan goes to ${options.planPath}\n`);
+  }
+
+  // Initialize TagManager
+  const tagManager = new TagManager({ readOnly: options.dryRun, config });
+  await tagManager.loadTags();
+
+  // A resumed run keeps appending to its original journal, so one rollback still undoes all of it
+  const journal = options.dryRun ? null : new Journal('classify', interrupted?.runId);
+  if (journal) {
+    await state.startRun(journal.runId, 'classify');
+    report.setRunId(journal.runId);
+    logger.info(`🧾 Journaling changes to ${journal.path} (run ID: ${journal.runId})`);
+  }
+  report.count('bookmarks', bookmarks.length);
+  
+  // Show current tag statistics
+  const totalTags = Object.keys(tagManager.registry.tags).length;
+  const popularTags = tagManager.getPopularTags(5);
+  
+  logger.info([
+    `📊 Tag Registry Stats:`,
+    `   Total unique tags: ${totalTags}`,
+    ...(popularTags.length > 0 ? [`   Most popular: ${popularTags.map(t => `${t.tag} (${t.count}×)`).join(", ")}`] : []),
+    ''
+  ].join('\n'), { totalTags, popularTags });
+
+  const provider = createProvider(config);
+  const items = [];
+  const errors = [];
+  let failed = 0;
+
+  // Work through the bookmarks in chunks, applying and checkpointing each one, so a crash
+  // loses at most the chunk in progress
+  for (let start = 0; start < bookmarks.length; start += CHECKPOINT_SIZE) {
+    const chunk = bookmarks.slice(start, start + CHECKPOINT_SIZE);
+    const summary = await processBookmarks(chunk, {
+      config,
+      provider,
+      tagManager,
+      journal,
+      dryRun: options.dryRun,
+      batchSize: options.batchSize ?? config.batchSize
+    });
+
+    items.push(...summary.items);
+    errors.push(...summary.errors);
+    failed += summary.failed;
+    report.addSummary(summary);
+
+    if (journal) await state.checkpoint(journal.runId, chunk, summary);
+  }
+
+  report.addTagChanges(tagManager);
+
+  const reviewCount = await writeReviewReport(items, config.review.reportPath);
+  if (reviewCount > 0) {
+    logger.info(`👀 ${reviewCount} bookmarks need review (tagged "${config.review.tag}"), see ${config.review.reportPath}`);
+  }
+
+  if (errors.length > 0) {
+    logger.warn([
+      `⚠️ ${errors.length} bookmarks could not be classified:`,
+      ...errors.map(error => `   ${error.title} (${error.id}): ${error.error}`)
+    ].join('\n'), { errors });
+  }
+
+  if (options.dryRun) {
+    await writePlan(options.planPath, items);
+    logger.info(`👀 Review the plan, then run: node cli.js apply ${options.planPath}`);
+    return { failed };
+  }
+
+  await state.finishRun(journal.runId);
+
+  // Final tag statistics
+  const finalTags = Object.keys(tagManager.registry.tags).length;
+  const newTagsCreated = finalTags - totalTags;
+  
+  logger.info("✨ Done classifying all unsorted bookmarks!");
+  logger.info(`📊 Final Stats: ${finalTags} total tags (${newTagsCreated} new tags created)`);
+  if (failed > 0) {
+    logger.info(`🔁 ${failed} bookmarks failed; retry just those with: node cli.js classify --retry-failed`);
+  }
+
+  return { failed };
+}
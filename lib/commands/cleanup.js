@@ -0,0 +1,501 @@
+import fs from 'fs/promises';
+import { fetchRaindropsPage, updateRaindrop, mergeTags } from '../raindrop.js';
+import { Journal, snapshotBookmark } from '../journal.js';
+import { allCollections } from '../config.js';
+import { createProvider } from '../providers/index.js';
+import { mapWithConcurrency } from '../scheduler.js';
+import { TagManager } from '../tag-manager.js';
+import { confirm, isInteractive } from '../confirm.js';
+import {
+  DEFAULT_PROPOSALS_PATH,
+  buildProposals,
+  readProposals,
+  writeProposals,
+  reviewProposals,
+  countAffected
+} from '../cleanup-proposals.js';
+import { batchSimilarTags, reconcileGroups } from '../tag-groups.js';
+import { METRICS_PATH, METRIC_THRESHOLDS, metricsPastThreshold, readMetricsHistory } from '../tag-metrics.js';
+import { logger } from '../logger.js';
+
+// Fetch all bookmarks with tags from all collections
+async function fetchAllBookmarksWithTags(collections) {
+  const allBookmarks = [];
+  
+  // Fetch from each collection
+  for (const [categoryName, collectionId] of Object.entries(collections)) {
+    logger.info(`📂 Fetching bookmarks from ${categoryName}...`);
+    
+    let page = 0;
+    const perpage = 50;
+    
+    while (true) {
+      const items = await fetchRaindropsPage(collectionId, page, perpage);
+
+      if (items.length === 0) break;
+      
+      // Add category info to each bookmark
+      const bookmarksWithCategory = items.map(bookmark => ({
+        ...bookmark,
+        currentCategory: categoryName
+      }));
+      
+      allBookmarks.push(...bookmarksWithCategory);
+      page++;
+    }
+  }
+
+  return allBookmarks;
+}
+
+// Extract all unique tags from bookmarks
+function extractAllTags(bookmarks) {
+  const tagSet = new Set();
+  const tagUsage = new Map();
+
+  bookmarks.forEach(bookmark => {
+    if (bookmark.tags && bookmark.tags.length > 0) {
+      bookmark.tags.forEach(tag => {
+        tagSet.add(tag);
+        tagUsage.set(tag, (tagUsage.get(tag) || 0) + 1);
+      });
+    }
+  });
+
+  return { uniqueTags: Array.from(tagSet), tagUsage };
+}
+
+async function shouldRunCleanup(currentUniqueTags, currentTagUsage, { dryRun = false } = {}) {
+  const uniqueCount = currentUniqueTags.length;
+  const totalUsage = Array.from(currentTagUsage.values()).reduce((sum, count) => sum + count, 0);
+
+  let registry;
+  let registryMissing = false;
+
+  try {
+    const registryRaw = await fs.readFile('tag-registry.json', 'utf8');
+    registry = JSON.parse(registryRaw);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.info('📁 No existing tag registry found. Defaulting to cleanup.');
+      registryMissing = true;
+      registry = { tags: {}, aliases: {} };
+    } else {
+      throw error;
+    }
+  }
+
+  const existingTags = registry?.tags && typeof registry.tags === 'object' ? registry.tags : {};
+  const existingAliases = registry?.aliases && typeof registry.aliases === 'object' ? registry.aliases : {};
+
+  const previousUniqueCount = Object.keys(existingTags).length;
+  const knownTags = new Set([
+    ...Object.keys(existingTags),
+    ...Object.keys(existingAliases),
+  ]);
+
+  const newTagCount = currentUniqueTags.filter(tag => !knownTags.has(tag)).length;
+  const growthRate = previousUniqueCount > 0
+    ? (uniqueCount - previousUniqueCount) / previousUniqueCount
+    : uniqueCount > 0 ? 1 : 0;
+  const newTagRatio = uniqueCount > 0 ? newTagCount / uniqueCount : 0;
+  const singleUseCount = Array.from(currentTagUsage.values()).filter(count => count === 1).length;
+  const singleUseRatio = uniqueCount > 0 ? singleUseCount / uniqueCount : 0;
+  const entropy = totalUsage > 0
+    ? -Array.from(currentTagUsage.values()).reduce((sum, count) => {
+        const p = count / totalUsage;
+        return p > 0 ? sum + p * Math.log2(p) : sum;
+      }, 0)
+    : 0;
+
+  logger.info([
+    '🧮 Tag health metrics:',
+    `   Previous unique tags: ${previousUniqueCount}`,
+    `   Current unique tags: ${uniqueCount}`,
+    `   Total tag usage: ${totalUsage}`,
+    `   Growth rate: ${(growthRate * 100).toFixed(2)}% (threshold ${(METRIC_THRESHOLDS.growthRate * 100).toFixed(0)}%)`,
+    `   New-tag ratio: ${(newTagRatio * 100).toFixed(2)}% (threshold ${(METRIC_THRESHOLDS.newTagRatio * 100).toFixed(0)}%)`,
+    `   Single-use ratio: ${(singleUseRatio * 100).toFixed(2)}% (threshold ${(METRIC_THRESHOLDS.singleUseRatio * 100).toFixed(0)}%)`,
+    `   Entropy: ${entropy.toFixed(2)} (threshold ${METRIC_THRESHOLDS.entropy.toFixed(2)})`
+  ].join('\n'), { previousUniqueCount, uniqueCount, totalUsage, growthRate, newTagRatio, singleUseRatio, entropy });
+
+  const metricsEntry = {
+    timestamp: new Date().toISOString(),
+    previousUniqueTagCount: previousUniqueCount,
+    uniqueTagCount: uniqueCount,
+    totalTagUsage: totalUsage,
+    newTagCount,
+    growthRate,
+    newTagRatio,
+    singleUseRatio,
+    entropy,
+  };
+
+  // A dry run only looks; its snapshot isn't added to the history
+  if (!dryRun) {
+    try {
+      const history = await readMetricsHistory();
+      history.push(metricsEntry);
+      await fs.writeFile(METRICS_PATH, JSON.stringify(history, null, 2));
+    } catch (writeError) {
+      logger.warn(`⚠️  Failed to persist tag metrics: ${writeError.message}`, { error: writeError });
+    }
+  }
+
+  if (registryMissing) {
+    return true;
+  }
+
+  const shouldRun = metricsPastThreshold(metricsEntry).length > 0;
+
+  logger.info(shouldRun
+    ? '✅ Cleanup criteria met — proceeding with AI cleanup.'
+    : 'ℹ️ Cleanup thresholds not met — skipping AI cleanup.');
+
+  return shouldRun;
+}
+
+// Use AI to group similar tags and suggest consolidation. Likely duplicates are clustered into the
+// same batch first, and the groups from all batches are reconciled so each variant has one canonical.
+async function analyzeTagGroups(tags, provider, { tagManager, tagUsage, batchSize = 20 }) {
+  logger.info(`🤖 Analyzing ${tags.length} tags for consolidation...`);
+  
+  const consolidationGroups = [];
+  const { batches, clusters } = batchSimilarTags(tags, batchSize, tagManager);
+  logger.info(`🧩 Pre-clustered ${clusters} groups of similar tags into ${batches.length} batches`, { clusters, batches: batches.length });
+  
+  // Process tags in batches to avoid overwhelming the AI
+  for (const [i, batch] of batches.entries()) {
+    const prompt = `Analyze these tags and group similar ones together:
+
+Tags: ${batch.join(", ")}
+
+Find groups of tags that mean the same thing or are very similar. For each group, suggest the best canonical name.
+
+Examples:
+- ["js", "javascript", "javascript-lang"] → canonical: "javascript"
+- ["ml", "machine-learning", "machine learning"] → canonical: "machine-learning"
+- ["react", "reactjs", "react-js"] → canonical: "react"
+
+Return JSON:
+{
+  "groups": [
+    {
+      "canonical": "javascript",
+      "variants": ["js", "javascript", "javascript-lang"],
+      "reason": "All refer to the JavaScript programming language"
+    }
+  ],
+  "standalone": ["unique-tag1", "unique-tag2"]
+}
+
+Include standalone tags that don't have similar variants.`;
+
+    const result = await provider.completeJSON(prompt);
+    consolidationGroups.push(...(result.groups || []));
+    
+    logger.info(`📊 Processed batch ${i + 1}/${batches.length}`);
+  }
+  
+  const { groups, conflicts, chains } = reconcileGroups(consolidationGroups, tagUsage);
+  logger.info(`🧮 Reconciled ${consolidationGroups.length} groups into ${groups.length} (${conflicts} conflicting variants, ${chains} chains collapsed)`, {
+    groups: groups.length,
+    conflicts,
+    chains
+  });
+
+  return groups;
+}
+
+// Create tag mapping (old tag → new canonical tag)
+function createTagMapping(consolidationGroups) {
+  const mapping = new Map();
+  
+  consolidationGroups.forEach(group => {
+    group.variants.forEach(variant => {
+      if (variant !== group.canonical) {
+        mapping.set(variant, group.canonical);
+      }
+    });
+  });
+  
+  return mapping;
+}
+
+// Update bookmarks with consolidated tags. Each consolidation group is applied with Raindrop's
+// tag merge endpoint, once per collection holding affected bookmarks; bookmarks in a collection
+// where a merge fails are then updated one by one so each rejection is reported.
+async function updateBookmarksWithCleanTags(bookmarks, tagMapping, journal, concurrency) {
+  logger.info(`🔄 Updating ${bookmarks.length} bookmarks with cleaned tags...`);
+  
+  const changes = [];
+  
+  for (const bookmark of bookmarks) {
+    if (!bookmark.tags || bookmark.tags.length === 0) continue;
+    
+    // Map old tags to new canonical tags
+    const newTags = bookmark.tags
+      .map(tag => tagMapping.get(tag) || tag)
+      .filter((tag, index, array) => array.indexOf(tag) === index); // Remove duplicates
+    
+    // Only update if tags changed
+    if (JSON.stringify([...bookmark.tags].sort()) !== JSON.stringify([...newTags].sort())) {
+      changes.push({ bookmark, before: snapshotBookmark(bookmark), newTags });
+    }
+  }
+
+  // One merge per (collection, canonical tag), covering every variant found in that collection
+  const merges = new Map();
+  for (const change of changes) {
+    for (const tag of change.bookmark.tags) {
+      const canonical = tagMapping.get(tag);
+      if (!canonical) continue;
+
+      const key = `${change.before.collectionId}:${canonical}`;
+      if (!merges.has(key)) {
+        merges.set(key, { collectionId: change.before.collectionId, canonical, variants: new Set(), changes: new Set() });
+      }
+      merges.get(key).variants.add(tag);
+      merges.get(key).changes.add(change);
+    }
+  }
+
+  const rejected = new Set();
+
+  await mapWithConcurrency([...merges.values()], concurrency, async (merge) => {
+    const result = await mergeTags(merge.collectionId, [...merge.variants], merge.canonical);
+    if (result.ok) {
+      logger.info(`🔗 Merged [${[...merge.variants].join(", ")}] → "${merge.canonical}" in collection ${merge.collectionId}`);
+    } else {
+      logger.warn(`⚠️ Tag merge → "${merge.canonical}" failed in collection ${merge.collectionId} (${result.error}), retrying ${merge.changes.size} bookmarks individually`);
+      merge.changes.forEach(change => rejected.add(change));
+    }
+  });
+
+  let updatedCount = 0;
+  const failures = [];
+
+  const logUpdate = async ({ bookmark, before, newTags }) => {
+    await journal.record(bookmark, before, { collectionId: before.collectionId, tags: newTags });
+    logger.info([
+      `✅ Updated "${bookmark.title}"`,
+      `   Old tags: [${bookmark.tags.join(", ")}]`,
+      `   New tags: [${newTags.join(", ")}]\n`
+    ].join('\n'), { bookmarkId: bookmark._id, oldTags: bookmark.tags, newTags });
+    updatedCount++;
+  };
+
+  for (const change of changes) {
+    if (!rejected.has(change)) await logUpdate(change);
+  }
+
+  await mapWithConcurrency([...rejected], concurrency, async (change) => {
+    const resp = await updateRaindrop(change.bookmark._id, {
+      tags: change.newTags,
+    });
+
+    if (resp.ok) {
+      await logUpdate(change);
+    } else {
+      logger.error(`❌ Failed to update "${change.bookmark.title}" (${change.bookmark._id}): HTTP ${resp.status}`, {
+        bookmarkId: change.bookmark._id,
+        status: resp.status
+      });
+      failures.push({ id: change.bookmark._id, title: change.bookmark.title, stage: 'apply', error: `HTTP ${resp.status}` });
+    }
+  });
+
+  logger.info(`📦 Applied ${merges.size} tag merges, ${rejected.size} bookmarks updated individually`);
+  
+  return { updatedCount, failures };
+}
+
+// Fold the applied groups into the existing registry instead of replacing it. Tags in use that the
+// registry doesn't know yet are added first (category and first use taken from their bookmarks), then
+// each variant becomes an alias of its canonical tag, which keeps the canonical tag's category and
+// first use and adds the variant's usage. Every merge is recorded with a timestamp. Pairs the
+// registry can't take (e.g. an existing alias already maps the canonical tag to the variant) are
+// skipped with a warning rather than failing the whole update. Returns { added, skipped }.
+export function updateTagRegistry(tagManager, groups, bookmarks, runId) {
+  const registry = tagManager.registry;
+  const seen = new Map();
+
+  for (const bookmark of bookmarks) {
+    for (const tag of bookmark.tags || []) {
+      const normalizedTag = tagManager.normalizeTag(tag);
+      if (!normalizedTag || registry.tags[normalizedTag] || tagManager.resolveAlias(tag)) continue;
+
+      const entry = seen.get(normalizedTag) || { usageCount: 0, categories: new Map(), firstUsed: null };
+      entry.usageCount++;
+      entry.categories.set(bookmark.currentCategory, (entry.categories.get(bookmark.currentCategory) || 0) + 1);
+      if (bookmark.created && (!entry.firstUsed || bookmark.created < entry.firstUsed)) entry.firstUsed = bookmark.created;
+      seen.set(normalizedTag, entry);
+    }
+  }
+
+  for (const [tag, entry] of seen) {
+    registry.tags[tag] = {
+      // The collection most of its bookmarks are in
+      category: [...entry.categories].sort((a, b) => b[1] - a[1])[0][0],
+      usageCount: entry.usageCount,
+      firstUsed: entry.firstUsed || new Date().toISOString()
+    };
+  }
+
+  const mergedAt = new Date().toISOString();
+  const skipped = [];
+  registry.merges = registry.merges || [];
+  for (const group of groups) {
+    for (const variant of group.variants) {
+      if (tagManager.normalizeTag(variant) === tagManager.normalizeTag(group.canonical)) continue;
+
+      if (tagManager.resolveAlias(group.canonical) === tagManager.normalizeTag(variant)) {
+        logger.warn(`⚠️ Not aliasing "${variant}" to "${group.canonical}": the registry maps "${group.canonical}" to "${variant}". Remove that alias with: node manage-aliases.js remove "${group.canonical}"`, { variant, canonical: group.canonical });
+        skipped.push({ from: variant, to: group.canonical });
+        continue;
+      }
+
+      try {
+        const canonical = tagManager.addAlias(variant, group.canonical);
+        registry.merges.push({ from: variant, to: canonical, reason: group.reason, mergedAt, runId });
+      } catch (error) {
+        logger.warn(`⚠️ Not aliasing "${variant}" to "${group.canonical}": ${error.message}`, { variant, canonical: group.canonical });
+        skipped.push({ from: variant, to: group.canonical });
+      }
+    }
+  }
+
+  return { added: seen.size, skipped };
+}
+
+// Analyze the tags in use and write the consolidation groups to a proposals file, leaving out
+// pairs rejected before. Returns the proposals, or null when the health metrics say to skip.
+async function proposeConsolidations(bookmarks, options, config, tagManager, report) {
+  const { uniqueTags, tagUsage } = extractAllTags(bookmarks);
+  report.count('uniqueTags', uniqueTags.length);
+
+  if (!await shouldRunCleanup(uniqueTags, tagUsage, { dryRun: options.dryRun })) {
+    return null;
+  }
+
+  logger.info(`Found ${uniqueTags.length} unique tags`);
+  logger.info(`Top 10 most used tags: ${Array.from(tagUsage.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([tag, count]) => `${tag}(${count})`)
+    .join(', ')}\n`);
+
+  const consolidationGroups = await analyzeTagGroups(uniqueTags, createProvider(config), { tagManager, tagUsage });
+  const proposals = buildProposals(consolidationGroups, bookmarks, (variant, canonical) =>
+    tagManager.isRejectedMerge(variant, canonical)
+  );
+
+  logger.info('\n📋 Proposed consolidations:');
+  proposals.groups.forEach(group => {
+    logger.info(`🔗 ${group.id}. "${group.canonical}" ← [${group.variants.join(', ')}] (${group.bookmarks} bookmarks)\n   Reason: ${group.reason}\n`, {
+      group: group.id,
+      canonical: group.canonical,
+      variants: group.variants,
+      bookmarks: group.bookmarks,
+      reason: group.reason
+    });
+  });
+
+  await writeProposals(options.proposalsPath, proposals);
+  logger.info(`📝 Wrote ${proposals.groups.length} proposed groups to ${options.proposalsPath}`);
+  return proposals;
+}
+
+// Consolidate duplicate tags across the categories' collections (options.collections, or all of them).
+// The model's consolidation groups go to a proposals file first; only groups approved there (or in the
+// interactive review) are applied, and rejected pairs are remembered in the tag registry so they're
+// never proposed again. With options.apply, an already reviewed proposals file is applied as is.
+// Returns { failed }, the number of bookmarks that could not be updated, and `status` when the run
+// stopped early.
+export async function cleanup(options, config, report) {
+  const proposalsPath = options.proposalsPath ?? DEFAULT_PROPOSALS_PATH;
+  logger.info(options.apply ? `📋 Applying reviewed tag cleanup from ${proposalsPath}...\n` : '🧹 Starting tag cleanup...\n');
+
+  // Read before fetching, so a broken proposals file fails fast
+  const reviewed = options.apply ? await readProposals(proposalsPath) : null;
+
+  const tagManager = new TagManager({ readOnly: options.dryRun });
+  await tagManager.loadTags();
+
+  logger.info('📥 Fetching all bookmarks with tags...');
+  const bookmarks = await fetchAllBookmarksWithTags(options.collections ?? allCollections(config));
+  logger.info(`Found ${bookmarks.length} total bookmarks`);
+  report.count('bookmarks', bookmarks.length);
+
+  const proposals = reviewed ?? await proposeConsolidations(bookmarks, { ...options, proposalsPath }, config, tagManager, report);
+  if (!proposals) {
+    logger.info('⏭️ Skipping AI cleanup this week.');
+    return { failed: 0, status: 'skipped' };
+  }
+
+  if (options.dryRun) {
+    logger.info(`🧪 Dry run: no bookmarks or tags were changed. Review ${proposalsPath}, then run: node cli.js cleanup --apply`);
+    return { failed: 0 };
+  }
+
+  if (!options.yes && isInteractive()) {
+    await reviewProposals(proposals, proposalsPath, bookmarks);
+  }
+
+  const groupsWith = (status) => proposals.groups.filter(group => group.status === status);
+  const rejected = groupsWith('rejected');
+  for (const group of rejected) {
+    group.variants.forEach(variant => tagManager.rejectMerge(variant, group.canonical));
+  }
+  // Saved right away, so rejections count even if applying is cancelled
+  if (rejected.length > 0) await tagManager.saveTags({ backup: true });
+
+  const approved = groupsWith('approved');
+  const pending = groupsWith('pending');
+  report.count('proposed', proposals.groups.length);
+  report.count('approved', approved.length);
+  report.count('rejected', rejected.length);
+  report.count('pendingReview', pending.length);
+
+  if (pending.length > 0) {
+    logger.info(`👀 ${pending.length} groups still need review in ${proposalsPath}; approve or reject them there, then run: node cli.js cleanup --apply`);
+  }
+  if (approved.length === 0) {
+    logger.info('ℹ️ No approved groups to apply');
+    return { failed: 0 };
+  }
+
+  // Counts are refreshed, since tags may have changed since the proposals were written
+  const affected = approved.reduce((sum, group) => sum + countAffected(group, bookmarks), 0);
+  if (!await confirm(`\n⚠️  Apply ${approved.length} approved groups, updating up to ${affected} bookmarks?`, { yes: options.yes })) {
+    logger.info('🚫 Cancelled, nothing was changed');
+    return { failed: 0, status: 'cancelled' };
+  }
+
+  const tagMapping = createTagMapping(approved);
+  const journal = new Journal('cleanup');
+  report.setRunId(journal.runId);
+  logger.info(`🧾 Journaling changes to ${journal.path} (run ID: ${journal.runId})`);
+  const { updatedCount, failures } = await updateBookmarksWithCleanTags(bookmarks, tagMapping, journal, config.scheduler.concurrency);
+  report.count('updated', updatedCount);
+  report.count('failed', failures.length);
+  report.addFailures(failures);
+  report.addConsolidations(approved.flatMap(group =>
+    group.variants.map(variant => ({ from: variant, to: group.canonical, reason: group.reason }))
+  ));
+
+  approved.forEach(group => { group.status = 'applied'; });
+  await writeProposals(proposalsPath, proposals);
+
+  const { added, skipped } = updateTagRegistry(tagManager, approved, bookmarks, journal.runId);
+  // The registry was already backed up before this run's rejections were saved
+  await tagManager.saveTags({ backup: rejected.length === 0 });
+
+  logger.info(`\n✨ Cleanup complete!`);
+  logger.info(`📊 Updated ${updatedCount} bookmarks${failures.length ? ` (${failures.length} failed)` : ''}`);
+  logger.info(`🏷️  Consolidated ${tagMapping.size} duplicate tags`);
+  logger.info(`📁 Tag registry: ${Object.keys(tagManager.registry.tags).length} tags (${added} added), ${Object.keys(tagManager.registry.aliases || {}).length} aliases${skipped.length ? ` (${skipped.length} conflicting pairs skipped)` : ''}`);
+  logger.info(`↩️  To undo: node rollback.js ${journal.runId}`);
+
+  return { failed: failures.length };
+}
@@ -0,0 +1,225 @@
+import fs from 'fs/promises';
+import { fetchCollections } from '../raindrop.js';
+import { allCollections } from '../config.js';
+import { TagManager } from '../tag-manager.js';
+import { RunState } from '../run-state.js';
+import {
+  METRICS_PATH,
+  METRIC_THRESHOLDS,
+  METRIC_LABELS,
+  metricsPastThreshold,
+  readMetricsHistory,
+  formatMetric
+} from '../tag-metrics.js';
+import { renderStatsHtml } from '../stats-html.js';
+
+// Tags listed per category and single-use tags listed as likely noise
+const TOP_TAGS = 10;
+const NOISE_TAGS = 20;
+// Snapshots shown in the terminal trend table (sparklines cover the whole history)
+const TREND_ROWS = 10;
+// Edit-distance similarity at which a single-use tag counts as a near-duplicate of a better used one
+const NEAR_DUPLICATE = 0.75;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sparkline(values) {
+  const bars = '▁▂▃▄▅▆▇█';
+  const numbers = values.filter(v => typeof v === 'number');
+  const [min, max] = [Math.min(...numbers), Math.max(...numbers)];
+  return values
+    .map(v => typeof v !== 'number' ? ' ' : bars[max === min ? 3 : Math.round((v - min) / (max - min) * (bars.length - 1))])
+    .join('');
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Per metric: range over the history and how often it alone would have triggered cleanup, which is
+// what tuning METRIC_THRESHOLDS needs
+function metricSummaries(history) {
+  return Object.keys(METRIC_LABELS).map(metric => {
+    const values = history.map(entry => entry[metric]).filter(v => typeof v === 'number');
+    const threshold = METRIC_THRESHOLDS[metric];
+    return {
+      metric,
+      label: METRIC_LABELS[metric],
+      values: history.map(entry => entry[metric]),
+      min: values.length ? Math.min(...values) : null,
+      median: values.length ? median(values) : null,
+      max: values.length ? Math.max(...values) : null,
+      threshold: threshold ?? null,
+      triggered: threshold === undefined ? null : history.filter(entry => metricsPastThreshold(entry).includes(metric)).length
+    };
+  });
+}
+
+// Top tags of every configured category, plus categories only the registry knows (e.g. "general"
+// from older cleanups)
+function topTagsByCategory(tagManager, config) {
+  const configured = config.categories.map(category => category.name);
+  const known = new Set(Object.values(tagManager.registry.tags).map(data => data.category).filter(Boolean));
+  const others = [...known].filter(category => !configured.some(name => category === name || category?.startsWith(`${name} / `)));
+
+  return [...configured, ...others].map(category => {
+    const tags = tagManager.getPopularTagsByCategory(category, Infinity);
+    return { category, tagCount: tags.length, tags: tags.slice(0, TOP_TAGS) };
+  });
+}
+
+// Tags used only once, most likely noise first: near-duplicates of a better used tag, then the
+// longest-standing ones (still at one use after a long time)
+function noiseCandidates(tagManager) {
+  const tags = tagManager.registry.tags;
+  const now = Date.now();
+
+  return Object.entries(tags)
+    .filter(([, data]) => data.usageCount <= 1)
+    .map(([tag, data]) => {
+      const similar = tagManager.findSimilarTags(tag, NEAR_DUPLICATE)
+        .find(match => tags[match.tag]?.usageCount > 1);
+      return {
+        tag,
+        category: data.category,
+        firstUsed: data.firstUsed,
+        ageDays: data.firstUsed ? Math.floor((now - Date.parse(data.firstUsed)) / DAY_MS) : null,
+        similarTo: similar ? similar.tag : null
+      };
+    })
+    .sort((a, b) => Boolean(b.similarTo) - Boolean(a.similarTo) || (b.ageDays ?? 0) - (a.ageDays ?? 0));
+}
+
+// Bookmarks currently in each configured category's (and subcategory's) collection, as Raindrop
+// counts them. Run reports only say what single runs filed; moves and deletions since then are
+// only reflected here. A failed request is reported rather than failing the whole report.
+async function bookmarkCategories(config) {
+  let collections;
+  try {
+    collections = await fetchCollections();
+  } catch (error) {
+    return { categories: {}, error: error.message };
+  }
+
+  const counts = new Map(collections.map(collection => [collection._id, collection.count ?? 0]));
+  const categories = Object.fromEntries(Object.entries(allCollections(config))
+    .filter(([, collectionId]) => counts.has(collectionId))
+    .map(([category, collectionId]) => [category, counts.get(collectionId)]));
+
+  return { categories, error: null };
+}
+
+// Everything the terminal and HTML reports show
+export async function collectStats(config) {
+  const tagManager = new TagManager({ readOnly: true, config });
+  await tagManager.loadTags();
+
+  const tags = tagManager.registry.tags;
+  const history = await readMetricsHistory();
+  const noise = noiseCandidates(tagManager);
+
+  const state = new RunState({ readOnly: true });
+  await state.load();
+
+  return {
+    generatedAt: new Date().toISOString(),
+    registry: {
+      tags: Object.keys(tags).length,
+      aliases: Object.keys(tagManager.registry.aliases || {}).length,
+      singleUse: noise.length,
+      popular: tagManager.getPopularTags(TOP_TAGS)
+    },
+    history: history.map(entry => ({ ...entry, pastThreshold: metricsPastThreshold(entry) })),
+    metrics: metricSummaries(history),
+    thresholds: METRIC_THRESHOLDS,
+    categories: topTagsByCategory(tagManager, config),
+    noise: noise.slice(0, NOISE_TAGS),
+    bookmarks: await bookmarkCategories(config),
+    runs: Object.values(state.state.runs).sort((a, b) => b.startedAt.localeCompare(a.startedAt)).slice(0, 5),
+    pendingFailures: state.failedIds().length
+  };
+}
+
+function printStats(data) {
+  console.log('🏷️  Tag registry:');
+  console.log(`   Unique tags: ${data.registry.tags} (${data.registry.singleUse} used once)`);
+  console.log(`   Aliases: ${data.registry.aliases}`);
+  if (data.registry.popular.length > 0) {
+    console.log(`   Most used: ${data.registry.popular.map(t => `${t.tag} (${t.count}×)`).join(', ')}`);
+  }
+
+  console.log('\n📂 Top tags per category:');
+  for (const { category, tagCount, tags } of data.categories) {
+    console.log(`   ${category} (${tagCount} tags): ${tags.length ? tags.map(t => `${t.tag} (${t.count}×)`).join(', ') : '-'}`);
+  }
+
+  const { categories, error } = data.bookmarks;
+  const total = Object.values(categories).reduce((sum, count) => sum + count, 0);
+  if (error) {
+    console.log(`\n⚠️  Could not fetch bookmark counts from Raindrop: ${error}`);
+  } else if (total > 0) {
+    console.log('\n📊 Bookmarks per category (collection counts in Raindrop):');
+    Object.entries(categories)
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([category, count]) => {
+        const share = count / total;
+        console.log(`   ${category.padEnd(30)} ${String(count).padStart(5)}  ${(share * 100).toFixed(1).padStart(5)}%  ${'█'.repeat(Math.round(share * 30))}`);
+      });
+  }
+
+  if (data.noise.length > 0) {
+    console.log('\n🗑️  Single-use tags most likely to be noise:');
+    data.noise.forEach(({ tag, category, ageDays, similarTo }) => {
+      console.log(`   ${tag} (${category}, ${ageDays ?? '?'} days old)${similarTo ? ` ~ "${similarTo}"` : ''}`);
+    });
+  }
+
+  if (data.history.length > 0) {
+    console.log(`\n🧮 Tag health over ${data.history.length} cleanup runs (${METRICS_PATH}):`);
+    for (const summary of data.metrics) {
+      const range = `${formatMetric(summary.metric, summary.min)} … ${formatMetric(summary.metric, summary.max)}, median ${formatMetric(summary.metric, summary.median)}`;
+      const threshold = summary.threshold === null
+        ? ''
+        : `; threshold ${formatMetric(summary.metric, summary.threshold)}, past it in ${summary.triggered}/${data.history.length} runs`;
+      console.log(`   ${summary.label.padEnd(17)} ${sparkline(summary.values.slice(-40))}  ${range}${threshold}`);
+    }
+
+    console.log('\n   Recent snapshots (* = past threshold):');
+    console.log(`   ${' '.repeat(10)} ${['tags', 'growth', 'new', 'single', 'entropy'].map(h => h.padStart(8)).join(' ')}`);
+    for (const entry of data.history.slice(-TREND_ROWS)) {
+      const cells = ['uniqueTagCount', ...Object.keys(METRIC_THRESHOLDS)].map(metric =>
+        `${formatMetric(metric, entry[metric])}${entry.pastThreshold.includes(metric) ? '*' : ''}`.padStart(8)
+      );
+      console.log(`   ${entry.timestamp.slice(0, 10)} ${cells.join(' ')}`);
+    }
+  }
+
+  if (data.runs.length > 0) {
+    console.log('\n🕒 Recent classification runs:');
+    data.runs.forEach(run => {
+      const { classified, moved, reviewed, failed } = run.counts;
+      console.log(`   ${run.runId} (${run.status}): ${classified} classified, ${moved} moved, ${reviewed} for review, ${failed} failed`);
+    });
+  }
+
+  if (data.pendingFailures > 0) {
+    console.log(`\n🔁 ${data.pendingFailures} bookmarks waiting to be retried (node cli.js classify --retry-failed)`);
+  }
+}
+
+// Tag health report: registry, top tags per category, likely-noise tags, bookmarks per category and
+// the cleanup metric trends with their thresholds. Printed to the terminal, or with options.htmlPath
+// written as a static HTML page. Read-only, so it never fails on bookmarks.
+export async function stats(options, config) {
+  const data = await collectStats(config);
+
+  if (options.htmlPath) {
+    await fs.writeFile(options.htmlPath, renderStatsHtml(data));
+    console.log(`📈 Wrote tag health report to ${options.htmlPath}`);
+  } else {
+    printStats(data);
+  }
+
+  return { failed: 0 };
+}
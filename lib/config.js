@@ -0,0 +1,591 @@
+import fs from 'fs/promises';
+import { PROVIDER_TYPES } from './providers/index.js';
+import { loadRules } from './rules.js';
+
+export const CONFIG_PATH = process.env.CLASSIFIER_CONFIG || 'classifier.config.json';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const CONFIG_KEYS = ['model', 'provider', 'batchSize', 'scheduler', 'review', 'tagMatching', 'enrichment', 'pricing', 'notifications', 'categories'];
+const CATEGORY_KEYS = ['name', 'collectionId', 'description', 'keywords', 'examples', 'subcategories'];
+// Separates a category from its subcategory in tag registry entries and rule targets
+const PATH_SEPARATOR = ' / ';
+const PROVIDER_KEYS = ['type', 'baseURL', 'apiKeyEnv', 'fixtures'];
+const REVIEW_KEYS = ['threshold', 'collectionId', 'tag', 'reportPath'];
+const TAG_MATCHING_KEYS = ['strategy', 'levenshteinThreshold', 'semanticThreshold', 'embeddingModel', 'embeddingProvider'];
+const TAG_MATCHING_STRATEGIES = ['levenshtein', 'semantic'];
+const ENRICHMENT_KEYS = ['enabled', 'useRaindropCache', 'minExcerptLength', 'maxTokens', 'timeoutMs', 'maxBytes', 'cacheDir'];
+const SCHEDULER_KEYS = ['concurrency', 'raindrop', 'llm'];
+const NOTIFICATION_KEYS = ['on', 'templates', 'channels'];
+const NOTIFY_ON = ['always', 'failure'];
+const TEMPLATE_KEYS = ['title', 'body'];
+// Keys each notification channel type accepts besides type, on and template
+const CHANNEL_KEYS = {
+  telegram: ['botTokenEnv', 'chatIdEnv', 'apiUrl'],
+  slack: ['webhookUrlEnv'],
+  discord: ['webhookUrlEnv'],
+  webhook: ['url', 'urlEnv', 'headers'],
+  email: ['host', 'port', 'secure', 'userEnv', 'passwordEnv', 'from', 'to']
+};
+const API_LIMIT_KEYS = ['concurrency', 'requestsPerMinute', 'burst', 'maxRetries', 'baseDelayMs', 'maxDelayMs'];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Check the raw config against the expected shape; returns a list of problems (empty when valid).
+// Collection IDs may be left out with requireCollectionIds: false (used by create-collections.js).
+export function validateConfig(raw, { requireCollectionIds = true } = {}) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return ['config must be a JSON object'];
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key) && key !== '$comment') {
+      errors.push(`unknown key "${key}"`);
+    }
+  }
+
+  if (raw.model !== undefined && !isNonEmptyString(raw.model)) {
+    errors.push('"model" must be a non-empty string');
+  }
+
+  if (raw.batchSize !== undefined && (!Number.isInteger(raw.batchSize) || raw.batchSize < 1)) {
+    errors.push('"batchSize" must be a positive integer');
+  }
+
+  if (raw.provider !== undefined) {
+    errors.push(...validateProvider(raw.provider));
+  }
+
+  if (raw.scheduler !== undefined) {
+    errors.push(...validateScheduler(raw.scheduler));
+  }
+
+  if (raw.review !== undefined) {
+    errors.push(...validateReview(raw.review));
+  }
+
+  if (raw.tagMatching !== undefined) {
+    errors.push(...validateTagMatching(raw.tagMatching));
+  }
+
+  if (raw.enrichment !== undefined) {
+    errors.push(...validateEnrichment(raw.enrichment));
+  }
+
+  if (raw.pricing !== undefined) {
+    errors.push(...validatePricing(raw.pricing));
+  }
+
+  if (raw.notifications !== undefined) {
+    errors.push(...validateNotifications(raw.notifications));
+  }
+
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) {
+    errors.push('"categories" must be a non-empty array');
+    return errors;
+  }
+
+  errors.push(...validateCategoryList(raw.categories, { requireCollectionIds }));
+
+  return errors;
+}
+
+// Validate a list of categories (or one category's subcategories, which can't be nested further)
+function validateCategoryList(categories, { requireCollectionIds, parent = null }) {
+  const errors = [];
+  const seenNames = new Set();
+
+  categories.forEach((category, index) => {
+    const label = isNonEmptyString(category?.name)
+      ? `${parent ? 'subcategory' : 'category'} "${parent ? `${parent}${PATH_SEPARATOR}` : ''}${category.name}"`
+      : `${parent ? `category "${parent}": subcategories` : 'categories'}[${index}]`;
+
+    if (!category || typeof category !== 'object' || Array.isArray(category)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    for (const key of Object.keys(category)) {
+      if (!CATEGORY_KEYS.includes(key) || (parent && key === 'subcategories')) {
+        errors.push(`${label}: unknown key "${key}"`);
+      }
+    }
+
+    if (!isNonEmptyString(category.name)) {
+      errors.push(`${label}: "name" must be a non-empty string`);
+    } else if (category.name.includes(PATH_SEPARATOR.trim())) {
+      errors.push(`${label}: "name" can't contain "${PATH_SEPARATOR.trim()}"`);
+    } else if (seenNames.has(category.name)) {
+      errors.push(`${label}: duplicate ${parent ? 'subcategory' : 'category'} name`);
+    } else {
+      seenNames.add(category.name);
+    }
+
+    if (category.collectionId === undefined || category.collectionId === null) {
+      if (requireCollectionIds) {
+        errors.push(`${label} has no collectionId — create the collection in Raindrop and add its ID, or run create-collections.js`);
+      }
+    } else if (!Number.isInteger(category.collectionId) || category.collectionId <= 0) {
+      errors.push(`${label}: "collectionId" must be a positive integer`);
+    }
+
+    if (category.description !== undefined && typeof category.description !== 'string') {
+      errors.push(`${label}: "description" must be a string`);
+    }
+
+    for (const key of ['keywords', 'examples']) {
+      if (category[key] !== undefined &&
+          (!Array.isArray(category[key]) || !category[key].every(isNonEmptyString))) {
+        errors.push(`${label}: "${key}" must be an array of strings`);
+      }
+    }
+
+    if (!parent && category.subcategories !== undefined) {
+      if (!Array.isArray(category.subcategories) || category.subcategories.length === 0) {
+        errors.push(`${label}: "subcategories" must be a non-empty array`);
+      } else {
+        errors.push(...validateCategoryList(category.subcategories, { requireCollectionIds, parent: category.name }));
+      }
+    }
+  });
+
+  return errors;
+}
+
+function validateProvider(provider, label = 'provider') {
+  const errors = [];
+
+  if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    return [`"${label}" must be an object`];
+  }
+
+  for (const key of Object.keys(provider)) {
+    if (!PROVIDER_KEYS.includes(key)) {
+      errors.push(`${label}: unknown key "${key}"`);
+    }
+  }
+
+  if (!PROVIDER_TYPES.includes(provider.type)) {
+    errors.push(`${label}: "type" must be one of ${PROVIDER_TYPES.join(', ')}`);
+  }
+
+  for (const key of ['baseURL', 'apiKeyEnv', 'fixtures']) {
+    if (provider[key] !== undefined && !isNonEmptyString(provider[key])) {
+      errors.push(`${label}: "${key}" must be a non-empty string`);
+    }
+  }
+
+  return errors;
+}
+
+function validateEnrichment(enrichment) {
+  const errors = [];
+
+  if (!enrichment || typeof enrichment !== 'object' || Array.isArray(enrichment)) {
+    return ['"enrichment" must be an object'];
+  }
+
+  for (const key of Object.keys(enrichment)) {
+    if (!ENRICHMENT_KEYS.includes(key)) {
+      errors.push(`enrichment: unknown key "${key}"`);
+    }
+  }
+
+  for (const key of ['enabled', 'useRaindropCache']) {
+    if (enrichment[key] !== undefined && typeof enrichment[key] !== 'boolean') {
+      errors.push(`enrichment: "${key}" must be true or false`);
+    }
+  }
+
+  if (enrichment.minExcerptLength !== undefined && (!Number.isInteger(enrichment.minExcerptLength) || enrichment.minExcerptLength < 0)) {
+    errors.push('enrichment: "minExcerptLength" must be a non-negative integer');
+  }
+
+  for (const key of ['maxTokens', 'timeoutMs', 'maxBytes']) {
+    const value = enrichment[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`enrichment: "${key}" must be a positive integer`);
+    }
+  }
+
+  if (enrichment.cacheDir !== undefined && !isNonEmptyString(enrichment.cacheDir)) {
+    errors.push('enrichment: "cacheDir" must be a non-empty string');
+  }
+
+  return errors;
+}
+
+function validateTagMatching(tagMatching) {
+  const errors = [];
+
+  if (!tagMatching || typeof tagMatching !== 'object' || Array.isArray(tagMatching)) {
+    return ['"tagMatching" must be an object'];
+  }
+
+  for (const key of Object.keys(tagMatching)) {
+    if (!TAG_MATCHING_KEYS.includes(key)) {
+      errors.push(`tagMatching: unknown key "${key}"`);
+    }
+  }
+
+  if (tagMatching.strategy !== undefined && !TAG_MATCHING_STRATEGIES.includes(tagMatching.strategy)) {
+    errors.push(`tagMatching: "strategy" must be one of ${TAG_MATCHING_STRATEGIES.join(', ')}`);
+  }
+
+  for (const key of ['levenshteinThreshold', 'semanticThreshold']) {
+    const value = tagMatching[key];
+    if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+      errors.push(`tagMatching: "${key}" must be a number between 0 and 1`);
+    }
+  }
+
+  if (tagMatching.embeddingModel !== undefined && !isNonEmptyString(tagMatching.embeddingModel)) {
+    errors.push('tagMatching: "embeddingModel" must be a non-empty string');
+  }
+
+  if (tagMatching.embeddingProvider !== undefined) {
+    errors.push(...validateProvider(tagMatching.embeddingProvider, 'tagMatching.embeddingProvider'));
+  }
+
+  return errors;
+}
+
+function validateScheduler(scheduler) {
+  const errors = [];
+
+  if (!scheduler || typeof scheduler !== 'object' || Array.isArray(scheduler)) {
+    return ['"scheduler" must be an object'];
+  }
+
+  for (const key of Object.keys(scheduler)) {
+    if (!SCHEDULER_KEYS.includes(key)) {
+      errors.push(`scheduler: unknown key "${key}"`);
+    }
+  }
+
+  if (scheduler.concurrency !== undefined && (!Number.isInteger(scheduler.concurrency) || scheduler.concurrency < 1)) {
+    errors.push('scheduler: "concurrency" must be a positive integer');
+  }
+
+  for (const api of ['raindrop', 'llm']) {
+    const limits = scheduler[api];
+    if (limits === undefined) continue;
+
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push(`scheduler.${api} must be an object`);
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(limits)) {
+      if (!API_LIMIT_KEYS.includes(key)) {
+        errors.push(`scheduler.${api}: unknown key "${key}"`);
+      } else if (typeof value !== 'number' || value < (key === 'maxRetries' ? 0 : 1)) {
+        errors.push(`scheduler.${api}: "${key}" must be a ${key === 'maxRetries' ? 'non-negative' : 'positive'} number`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Model → { input, output } in USD per million tokens
+function validatePricing(pricing) {
+  if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+    return ['"pricing" must be an object mapping model names to { "input": n, "output": n }'];
+  }
+
+  return Object.entries(pricing).flatMap(([model, price]) => {
+    const valid = price && typeof price === 'object' &&
+      Object.keys(price).every(key => ['input', 'output'].includes(key)) &&
+      ['input', 'output'].every(key => typeof price[key] === 'number' && price[key] >= 0);
+    return valid ? [] : [`pricing "${model}": must be { "input": n, "output": n } in USD per million tokens`];
+  });
+}
+
+function validateTemplate(template, label) {
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return [`${label} must be an object with "title" and/or "body"`];
+  }
+
+  return Object.keys(template).flatMap(key => {
+    if (!TEMPLATE_KEYS.includes(key)) return [`${label}: unknown key "${key}"`];
+    return isNonEmptyString(template[key]) ? [] : [`${label}: "${key}" must be a non-empty string`];
+  });
+}
+
+function validateChannel(channel, index) {
+  const label = `notifications.channels[${index}]`;
+  if (!channel || typeof channel !== 'object' || Array.isArray(channel)) {
+    return [`${label} must be an object`];
+  }
+
+  const allowed = CHANNEL_KEYS[channel.type];
+  if (!allowed) {
+    return [`${label}: "type" must be one of ${Object.keys(CHANNEL_KEYS).join(', ')}`];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(channel)) {
+    if (!['type', 'on', 'template', ...allowed].includes(key)) {
+      errors.push(`${label} (${channel.type}): unknown key "${key}"`);
+    }
+  }
+
+  for (const key of ['botTokenEnv', 'chatIdEnv', 'apiUrl', 'webhookUrlEnv', 'url', 'urlEnv', 'host', 'userEnv', 'passwordEnv', 'from']) {
+    if (channel[key] !== undefined && !isNonEmptyString(channel[key])) {
+      errors.push(`${label}: "${key}" must be a non-empty string`);
+    }
+  }
+
+  if (channel.on !== undefined && !NOTIFY_ON.includes(channel.on)) {
+    errors.push(`${label}: "on" must be one of ${NOTIFY_ON.join(', ')}`);
+  }
+  if (channel.template !== undefined) {
+    errors.push(...validateTemplate(channel.template, `${label}: template`));
+  }
+
+  if (channel.type === 'webhook') {
+    if ((channel.url === undefined) === (channel.urlEnv === undefined)) {
+      errors.push(`${label}: webhook needs exactly one of "url" or "urlEnv"`);
+    }
+    if (channel.headers !== undefined &&
+        (!channel.headers || typeof channel.headers !== 'object' || Array.isArray(channel.headers) ||
+         !Object.values(channel.headers).every(v => typeof v === 'string'))) {
+      errors.push(`${label}: "headers" must be an object of strings`);
+    }
+  }
+
+  if (channel.type === 'email') {
+    for (const key of ['host', 'from', 'to']) {
+      if (channel[key] === undefined) errors.push(`${label}: email needs "${key}"`);
+    }
+    if (channel.to !== undefined && ![].concat(channel.to).every(isNonEmptyString)) {
+      errors.push(`${label}: "to" must be an address or a list of addresses`);
+    }
+    if (channel.port !== undefined && (!Number.isInteger(channel.port) || channel.port < 1 || channel.port > 65535)) {
+      errors.push(`${label}: "port" must be a port number`);
+    }
+    if (channel.secure !== undefined && typeof channel.secure !== 'boolean') {
+      errors.push(`${label}: "secure" must be true or false`);
+    }
+  }
+
+  return errors;
+}
+
+function validateNotifications(notifications) {
+  if (!notifications || typeof notifications !== 'object' || Array.isArray(notifications)) {
+    return ['"notifications" must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(notifications)) {
+    if (!NOTIFICATION_KEYS.includes(key)) {
+      errors.push(`notifications: unknown key "${key}"`);
+    }
+  }
+
+  if (notifications.on !== undefined && !NOTIFY_ON.includes(notifications.on)) {
+    errors.push(`notifications: "on" must be one of ${NOTIFY_ON.join(', ')}`);
+  }
+  if (notifications.templates !== undefined) {
+    errors.push(...validateTemplate(notifications.templates, 'notifications: templates'));
+  }
+
+  if (!Array.isArray(notifications.channels)) {
+    errors.push('notifications: "channels" must be an array');
+  } else {
+    notifications.channels.forEach((channel, index) => errors.push(...validateChannel(channel, index)));
+  }
+
+  return errors;
+}
+
+function validateReview(review) {
+  const errors = [];
+
+  if (!review || typeof review !== 'object' || Array.isArray(review)) {
+    return ['"review" must be an object'];
+  }
+
+  for (const key of Object.keys(review)) {
+    if (!REVIEW_KEYS.includes(key)) {
+      errors.push(`review: unknown key "${key}"`);
+    }
+  }
+
+  if (review.threshold !== undefined &&
+      (typeof review.threshold !== 'number' || review.threshold < 0 || review.threshold > 1)) {
+    errors.push('review: "threshold" must be a number between 0 and 1');
+  }
+
+  if (review.collectionId !== undefined && (!Number.isInteger(review.collectionId) || review.collectionId <= 0)) {
+    errors.push('review: "collectionId" must be a positive integer');
+  }
+
+  for (const key of ['tag', 'reportPath']) {
+    if (review[key] !== undefined && !isNonEmptyString(review[key])) {
+      errors.push(`review: "${key}" must be a non-empty string`);
+    }
+  }
+
+  return errors;
+}
+
+// Read and validate the config file as written, without applying defaults
+export async function readRawConfig(configPath = CONFIG_PATH, options) {
+  let raw;
+
+  try {
+    raw = JSON.parse(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Config file ${configPath} not found`);
+    }
+    throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+  }
+
+  const errors = validateConfig(raw, options);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${configPath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return raw;
+}
+
+export async function writeRawConfig(raw, configPath = CONFIG_PATH) {
+  await fs.writeFile(configPath, JSON.stringify(raw, null, 2) + '\n');
+}
+
+// Load and validate the config file; throws with every problem listed if it's invalid
+export async function loadConfig(configPath = CONFIG_PATH) {
+  const raw = await readRawConfig(configPath);
+
+  // LLM_PROVIDER / LLM_MODEL override the file, e.g. LLM_PROVIDER=fake for offline runs
+  const providerType = process.env.LLM_PROVIDER || raw.provider?.type || 'openai';
+  if (!PROVIDER_TYPES.includes(providerType)) {
+    throw new Error(`Invalid LLM_PROVIDER "${providerType}" (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+  }
+
+  return {
+    path: configPath,
+    model: process.env.LLM_MODEL || raw.model || DEFAULT_MODEL,
+    provider: {
+      ...raw.provider,
+      type: providerType,
+      baseURL: process.env.LLM_BASE_URL || raw.provider?.baseURL
+    },
+    // Bookmarks per LLM call; 1 keeps the per-item two-pass flow
+    batchSize: raw.batchSize || 1,
+    // Pipeline concurrency plus per-API limits for the shared schedulers (see scheduler.js)
+    scheduler: {
+      concurrency: raw.scheduler?.concurrency || 4,
+      raindrop: raw.scheduler?.raindrop,
+      llm: raw.scheduler?.llm
+    },
+    // Classifications below `threshold` (or outside the known categories) are tagged with `tag`
+    // and left in `collectionId`, or where they are if none is set
+    review: {
+      threshold: raw.review?.threshold ?? 0.6,
+      collectionId: raw.review?.collectionId ?? null,
+      tag: raw.review?.tag || 'needs-review',
+      reportPath: raw.review?.reportPath || 'review-report.md'
+    },
+    // How AI tags are matched to existing ones; "semantic" compares embeddings (see semantic-matcher.js)
+    tagMatching: {
+      strategy: raw.tagMatching?.strategy || 'levenshtein',
+      levenshteinThreshold: raw.tagMatching?.levenshteinThreshold ?? 0.8,
+      semanticThreshold: raw.tagMatching?.semanticThreshold ?? 0.85,
+      embeddingModel: raw.tagMatching?.embeddingModel || 'text-embedding-3-small',
+      embeddingProvider: raw.tagMatching?.embeddingProvider ?? null
+    },
+    // Fetch page content for bookmarks whose excerpt is shorter than minExcerptLength (see page-content.js)
+    enrichment: {
+      enabled: raw.enrichment?.enabled ?? false,
+      useRaindropCache: raw.enrichment?.useRaindropCache ?? true,
+      minExcerptLength: raw.enrichment?.minExcerptLength ?? 80,
+      maxTokens: raw.enrichment?.maxTokens || 400,
+      timeoutMs: raw.enrichment?.timeoutMs || 10000,
+      maxBytes: raw.enrichment?.maxBytes || 2000000,
+      cacheDir: process.env.PAGE_CACHE_DIR || raw.enrichment?.cacheDir || '.page-cache'
+    },
+    // Overrides and additions to the token prices used for the run report's cost estimate (see usage.js)
+    pricing: raw.pricing || {},
+    // Where run summaries are sent when a command finishes (see notifiers/index.js)
+    notifications: {
+      on: raw.notifications?.on || 'always',
+      templates: raw.notifications?.templates || {},
+      channels: raw.notifications?.channels || []
+    },
+    categories: raw.categories,
+    // Deterministic rules from classifier.rules.json, applied before the model (see rules.js);
+    // a rule may target a category or one of its subcategories
+    rules: await loadRules(raw.categories.flatMap(c => [
+      c.name,
+      ...(c.subcategories || []).map(s => categoryPath(c.name, s.name))
+    ])),
+    // Category name → Raindrop collection ID
+    collections: Object.fromEntries(raw.categories.map(c => [c.name, c.collectionId]))
+  };
+}
+
+// "Category / Subcategory", or just the category; used to scope tags and to name subcategories in rules
+export function categoryPath(category, subcategory = null) {
+  return subcategory ? `${category}${PATH_SEPARATOR}${subcategory}` : category;
+}
+
+// Whether a category path is the category itself or one of its subcategories
+export function inCategory(path, category) {
+  return path === category || path?.startsWith(`${category}${PATH_SEPARATOR}`);
+}
+
+// { category, subcategory } for a category path, or null if it doesn't name a configured (sub)category
+export function parseCategoryPath(config, path) {
+  const [category, subcategory = null, ...rest] = path.split(PATH_SEPARATOR);
+  const definition = config.categories.find(c => c.name === category);
+
+  if (!definition || rest.length) return null;
+  if (subcategory && !definition.subcategories?.some(s => s.name === subcategory)) return null;
+  return { category, subcategory };
+}
+
+export function findSubcategory(config, category, subcategory) {
+  if (!subcategory) return null;
+  return config.categories.find(c => c.name === category)?.subcategories?.find(s => s.name === subcategory) || null;
+}
+
+// Collection a classification is filed in: the subcategory's child collection if it has one,
+// otherwise the category's
+export function collectionFor(config, category, subcategory = null) {
+  return findSubcategory(config, category, subcategory)?.collectionId ?? config.collections[category] ?? null;
+}
+
+// { category, subcategory } a collection belongs to, or null for collections outside the config
+export function categoryForCollection(config, collectionId) {
+  for (const category of config.categories) {
+    if (category.collectionId === collectionId) return { category: category.name, subcategory: null };
+    const subcategory = category.subcategories?.find(s => s.collectionId === collectionId);
+    if (subcategory) return { category: category.name, subcategory: subcategory.name };
+  }
+  return null;
+}
+
+// Collection ID for a category name ("Category / Subcategory" for a subcategory) or a collection ID
+export function resolveCollection(config, name) {
+  const target = parseCategoryPath(config, name);
+  if (target) return collectionFor(config, target.category, target.subcategory);
+  if (/^-?\d+$/.test(name)) return Number(name);
+  throw new Error(`Unknown collection "${name}" (use a category name from the config or a collection ID)`);
+}
+
+// Category path → collection ID for every configured category and subcategory
+export function allCollections(config) {
+  return Object.fromEntries(config.categories.flatMap(category => [
+    [category.name, category.collectionId],
+    ...(category.subcategories || []).map(s => [categoryPath(category.name, s.name), s.collectionId])
+  ]));
+}
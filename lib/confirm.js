@@ -0,0 +1,30 @@
+import readline from 'readline/promises';
+
+export function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+// A readline interface on the terminal, for asking several questions in a row; close it when done
+export function openPrompt() {
+  if (!isInteractive()) {
+    throw new Error('Confirmation needed but not running in a terminal; pass --yes to proceed');
+  }
+  return readline.createInterface({ input: process.stdin, output: process.stdout });
+}
+
+// Ask a question on the terminal and return the trimmed answer
+export async function ask(question) {
+  const rl = openPrompt();
+  try {
+    return (await rl.question(question)).trim();
+  } finally {
+    rl.close();
+  }
+}
+
+// Ask a yes/no question on the terminal; `yes` (the --yes flag) answers it up front. Without a
+// terminal (CI, pipes) there's nobody to ask, so going ahead needs --yes.
+export async function confirm(question, { yes = false } = {}) {
+  if (yes) return true;
+  return /^y(es)?$/i.test(await ask(`${question} [y/N] `));
+}
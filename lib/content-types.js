@@ -0,0 +1,126 @@
+// Content type detection from Raindrop's bookmark type, known domains, URL patterns and the title
+
+export const CONTENT_TYPES = [
+  'article', 'tool', 'tutorial', 'video', 'documentation', 'podcast',
+  'paper', 'repository', 'discussion', 'newsletter', 'product', 'image'
+];
+
+// Sites whose content type is known, as [content type, hosts (subdomains included), optional path pattern].
+// Checked in order, so more specific entries come first.
+const DOMAIN_TYPES = [
+  ['repository', ['github.com', 'gitlab.com', 'bitbucket.org', 'codeberg.org', 'sr.ht'], /^\/[^/]+\/[^/]+\/?$/],
+  ['paper', ['arxiv.org', 'doi.org', 'biorxiv.org', 'medrxiv.org', 'ssrn.com', 'openreview.net', 'semanticscholar.org',
+    'dl.acm.org', 'ieeexplore.ieee.org', 'researchgate.net', 'paperswithcode.com', 'pubmed.ncbi.nlm.nih.gov']],
+  ['discussion', ['news.ycombinator.com', 'lobste.rs']],
+  ['discussion', ['reddit.com'], /\/comments\//],
+  ['discussion', ['stackoverflow.com', 'stackexchange.com', 'superuser.com', 'serverfault.com', 'askubuntu.com'], /^\/questions\/\d+/],
+  ['podcast', ['podcasts.apple.com', 'overcast.fm', 'pca.st', 'pocketcasts.com', 'castbox.fm', 'podbean.com',
+    'simplecast.com', 'transistor.fm', 'buzzsprout.com', 'podcasters.spotify.com']],
+  ['podcast', ['open.spotify.com'], /^\/(episode|show)\//],
+  ['video', ['youtube.com', 'youtu.be', 'vimeo.com', 'twitch.tv', 'tiktok.com', 'dailymotion.com', 'loom.com']],
+  ['video', ['ted.com'], /^\/talks\//],
+  ['newsletter', ['substack.com', 'buttondown.email', 'buttondown.com', 'beehiiv.com', 'mailchi.mp', 'tinyletter.com']],
+  ['product', ['producthunt.com'], /^\/(posts|products)\//],
+  ['product', ['etsy.com'], /^\/listing\//],
+  ['product', ['ebay.com'], /^\/itm\//],
+  ['product', ['kickstarter.com', 'indiegogo.com'], /^\/projects?\//],
+  ['tool', ['apps.apple.com', 'play.google.com', 'chromewebstore.google.com', 'chrome.google.com', 'addons.mozilla.org',
+    'npmjs.com', 'pypi.org', 'marketplace.visualstudio.com', 'alternativeto.net']],
+  ['documentation', ['readthedocs.io', 'readthedocs.org', 'developer.mozilla.org', 'docs.rs', 'pkg.go.dev']]
+];
+
+// Patterns that give the type away on any site
+const URL_TYPES = [
+  ['paper', /\.pdf$/i],
+  ['paper', /\/doi\/(abs\/|full\/|pdf\/)?10\.\d{4,}\//i],
+  ['product', /^(www\.)?amazon\.[a-z.]+\/(.*\/)?(dp|gp\/product)\//i],
+  ['product', /^[^/]+\.myshopify\.com\/products\//i],
+  // Discourse forums
+  ['discussion', /^[^/]+\/t\/[^/]+\/\d+/],
+  ['documentation', /^docs\.|^[^/]+\/(docs?|reference)\//i]
+];
+
+// Raindrop's own type, when it says more than "link" or "article"
+const RAINDROP_TYPES = {
+  video: 'video',
+  audio: 'podcast',
+  document: 'paper',
+  image: 'image'
+};
+
+// Title and excerpt keywords, checked last and in order. Whole words only, so "app" no longer
+// matches "approach" and a title mentioning an app isn't automatically a tool.
+const KEYWORD_TYPES = [
+  ['podcast', /\bpodcast\b/, 'title'],
+  ['newsletter', /\bnewsletter\b|\bissue #?\d+\b|\bweekly digest\b/, 'title'],
+  ['paper', /\b(preprint|proceedings|whitepaper|white paper)\b|\bet al\b/, 'title'],
+  ['tutorial', /\b(tutorial|guide|how to|step by step|walkthrough)\b/, 'title'],
+  ['tutorial', /\b(learn|beginners?)\b/, 'text'],
+  ['video', /\b(video|watch|episode)\b/, 'title'],
+  ['documentation', /\b(documentation|reference|api)\b/, 'title'],
+  ['documentation', /\bofficial docs\b/, 'text'],
+  ['tool', /\b(tools?|software|open[- ]source|library|framework|cli|sdk|plugin|extension)\b/, 'title'],
+  ['tool', /\b(download|install)\b/, 'text']
+];
+
+function parseLink(link) {
+  try {
+    const url = new URL(link);
+    return { host: url.hostname.toLowerCase().replace(/^www\./, ''), path: url.pathname };
+  } catch {
+    return { host: '', path: '' };
+  }
+}
+
+function hostMatches(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+// Detect content type from Raindrop's type, the URL and the title
+export function detectContentType(bookmark) {
+  const { title = '', link = '', excerpt = '', type } = bookmark;
+  const { host, path } = parseLink(link);
+
+  for (const [contentType, domains, pathPattern] of DOMAIN_TYPES) {
+    if (hostMatches(host, domains) && (!pathPattern || pathPattern.test(path))) {
+      return contentType;
+    }
+  }
+
+  const hostAndPath = `${host}${path}`;
+  for (const [contentType, pattern] of URL_TYPES) {
+    if (pattern.test(hostAndPath)) return contentType;
+  }
+
+  if (RAINDROP_TYPES[type]) return RAINDROP_TYPES[type];
+
+  const titleLower = (title || '').toLowerCase();
+  const textContent = `${titleLower} ${excerpt || ''}`.toLowerCase();
+
+  for (const [contentType, pattern, field] of KEYWORD_TYPES) {
+    if (pattern.test(field === 'title' ? titleLower : textContent)) return contentType;
+  }
+
+  // News/Article detection (default)
+  return 'article';
+}
+
+// Get content-specific tag instructions
+export function getContentTypeInstructions(contentType) {
+  const instructions = {
+    article: 'Focus on topic, publication, and subject matter tags',
+    tool: 'Include "tool" or "software" tag plus functionality and technology tags',
+    tutorial: 'Add "tutorial" or "guide" tag plus skill level and technology tags',
+    video: 'Include "video" tag plus platform, topic, and format tags',
+    documentation: 'Add "docs" or "reference" tag plus technology and purpose tags',
+    podcast: 'Include "podcast" tag plus show, topic, and guest tags',
+    paper: 'Add "paper" or "research" tag plus field, method, and topic tags',
+    repository: 'Include "github" or "open-source" tag plus language, framework, and purpose tags',
+    discussion: 'Add "discussion" tag plus community (e.g. "hacker-news", "reddit") and topic tags',
+    newsletter: 'Include "newsletter" tag plus publication and topic tags',
+    product: 'Add "product" tag plus product category, brand, and use-case tags',
+    image: 'Include "image" tag plus subject and style tags'
+  };
+
+  return instructions[contentType] || instructions.article;
+}
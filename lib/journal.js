@@ -0,0 +1,79 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const JOURNAL_DIR = process.env.JOURNAL_DIR || 'journals';
+
+// Append-only record of every bookmark mutation in a run (one JSON object per line). With
+// `strict`, a failed write throws instead of only warning, so callers can stop before making
+// changes they can't roll back.
+export class Journal {
+  constructor(source, runId = createRunId(source), { dir = JOURNAL_DIR, strict = false } = {}) {
+    this.source = source;
+    this.runId = runId;
+    this.dir = dir;
+    this.strict = strict;
+    this.path = path.join(dir, `${runId}.jsonl`);
+    this.entries = [];
+  }
+
+  // Create the journal file up front, so an unwritable directory fails before anything changes
+  async open() {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.path, '');
+  }
+
+  async record(bookmark, before, after) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      source: this.source,
+      bookmarkId: bookmark._id,
+      title: bookmark.title,
+      before,
+      after
+    };
+    this.entries.push(entry);
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.appendFile(this.path, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      if (this.strict) throw new Error(`Failed to write journal entry for "${bookmark.title}": ${error.message}`);
+      logger.warn(`⚠️ Failed to write journal entry for "${bookmark.title}": ${error.message}`, { bookmarkId: bookmark._id, error });
+    }
+  }
+}
+
+export function createRunId(source) {
+  return `${new Date().toISOString().replace(/[:.]/g, '-')}-${source}`;
+}
+
+// Snapshot of the fields we overwrite, in the shape stored in the journal
+export function snapshotBookmark(bookmark) {
+  return {
+    collectionId: bookmark.collection?.$id ?? null,
+    tags: [...(bookmark.tags || [])]
+  };
+}
+
+export async function readJournal(runId) {
+  const raw = await fs.readFile(path.join(JOURNAL_DIR, `${runId}.jsonl`), 'utf8');
+  return raw
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export async function listJournals() {
+  try {
+    const files = await fs.readdir(JOURNAL_DIR);
+    return files
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => file.replace(/\.jsonl$/, ''))
+      .sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
@@ -0,0 +1,65 @@
+// Leveled logger shared by every module. Text output keeps the familiar emoji lines; the JSON-lines
+// format writes one object per event ({ time, level, msg, ...context, ...fields }) for log shippers
+// and scripts. Configured once at startup, like the schedulers.
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'text',
+  // Added to every JSON line, e.g. the command and run ID
+  context: {}
+};
+
+export function configureLogger({ level, format, context } = {}) {
+  if (level !== undefined) {
+    if (!LOG_LEVELS.includes(level)) throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+    settings.level = level;
+  }
+  if (format !== undefined) {
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Log format must be one of ${LOG_FORMATS.join(', ')}`);
+    settings.format = format;
+  }
+  if (context !== undefined) {
+    settings.context = { ...settings.context, ...context };
+  }
+}
+
+function enabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+}
+
+function serialize(value) {
+  return value instanceof Error ? { message: value.message, stack: value.stack } : value;
+}
+
+// Emoji, indentation and detail lines under the first one only help humans reading a terminal;
+// the fields carry the same data
+function plainMessage(message) {
+  return message.split('\n')[0].replace(/^[\s\p{Extended_Pictographic}\uFE0F\u200D]+/u, '');
+}
+
+function write(level, message, fields = {}) {
+  if (!enabled(level)) return;
+
+  if (settings.format === 'json') {
+    const entry = { time: new Date().toISOString(), level, msg: plainMessage(message), ...settings.context };
+    for (const [key, value] of Object.entries(fields)) entry[key] = serialize(value);
+    console.log(JSON.stringify(entry));
+    return;
+  }
+
+  const print = level === 'warn' || level === 'error' ? console.error : console.log;
+  if (fields.error instanceof Error) {
+    print(message, fields.error);
+  } else {
+    print(message);
+  }
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,20 @@
+import { postJSON, requireEnv } from './http.js';
+
+// Incoming webhooks of Slack and Discord: same idea, different field name and size limit
+const SERVICES = {
+  slack: { field: 'text', maxLength: 40000, defaultEnv: 'SLACK_WEBHOOK_URL' },
+  discord: { field: 'content', maxLength: 2000, defaultEnv: 'DISCORD_WEBHOOK_URL' }
+};
+
+export class ChatWebhookNotifier {
+  constructor(type, { webhookUrlEnv } = {}) {
+    this.name = type;
+    this.service = SERVICES[type];
+    this.url = requireEnv(webhookUrlEnv || this.service.defaultEnv);
+  }
+
+  async send({ title, body }) {
+    const text = `${title}\n\n${body}`.slice(0, this.service.maxLength);
+    await postJSON(this.url, { [this.service.field]: text });
+  }
+}
@@ -0,0 +1,34 @@
+import nodemailer from 'nodemailer';
+import { requireEnv } from './http.js';
+
+const TIMEOUT_MS = 15000;
+
+// Plain-text mail over SMTP (via nodemailer): implicit TLS (secure, port 465) or STARTTLS when the
+// server offers it. Credentials come from the environment and are never sent over an unencrypted
+// connection: with a user set, a server without STARTTLS is refused.
+export class EmailNotifier {
+  constructor({ host, port, secure, userEnv = 'SMTP_USER', passwordEnv = 'SMTP_PASSWORD', from, to } = {}) {
+    this.name = 'email';
+    this.from = from;
+    this.to = [].concat(to);
+
+    const user = process.env[userEnv];
+    const password = user ? requireEnv(passwordEnv) : null;
+    const implicitTls = secure ?? port === 465;
+
+    this.transport = nodemailer.createTransport({
+      host,
+      port: port ?? (implicitTls ? 465 : 587),
+      secure: implicitTls,
+      requireTLS: Boolean(user),
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: TIMEOUT_MS,
+      greetingTimeout: TIMEOUT_MS,
+      socketTimeout: TIMEOUT_MS
+    });
+  }
+
+  async send({ title, body }) {
+    await this.transport.sendMail({ from: this.from, to: this.to, subject: title, text: body });
+  }
+}
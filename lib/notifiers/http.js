@@ -0,0 +1,36 @@
+import fetch from 'node-fetch';
+
+const TIMEOUT_MS = 15000;
+
+// POST a JSON body, failing on a timeout or a non-2xx response (with the start of the response body,
+// which is where chat services explain what they didn't like)
+export async function postJSON(url, body, headers = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!resp.ok) {
+      const detail = (await resp.text()).slice(0, 200);
+      throw new Error(`HTTP ${resp.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return resp;
+  } catch (error) {
+    throw new Error(controller.signal.aborted ? `timed out after ${TIMEOUT_MS}ms` : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Value of the environment variable a channel names for a secret, or an error saying which one is missing
+export function requireEnv(name) {
+  const value = process.env[name];
+  if (!value) throw new Error(`${name} is not set`);
+  return value;
+}
@@ -0,0 +1,52 @@
+import { TelegramNotifier } from './telegram.js';
+import { ChatWebhookNotifier } from './chat-webhook.js';
+import { EmailNotifier } from './email.js';
+import { WebhookNotifier } from './webhook.js';
+import { renderMessage } from './summary.js';
+import { logger } from '../logger.js';
+
+export const NOTIFIER_TYPES = ['telegram', 'slack', 'discord', 'email', 'webhook'];
+
+// Build the notifier for one entry of the config's notifications.channels
+export function createNotifier(channel) {
+  switch (channel.type) {
+    case 'telegram':
+      return new TelegramNotifier(channel);
+    case 'slack':
+    case 'discord':
+      return new ChatWebhookNotifier(channel.type, channel);
+    case 'email':
+      return new EmailNotifier(channel);
+    case 'webhook':
+      return new WebhookNotifier(channel);
+    default:
+      throw new Error(`Unknown notification channel "${channel.type}" (expected one of: ${NOTIFIER_TYPES.join(', ')})`);
+  }
+}
+
+// "failure" channels only hear about runs that failed or had failed bookmarks
+function wanted(on, report) {
+  return on === 'always' || ['failed', 'completed_with_failures'].includes(report.status);
+}
+
+// Send the finished run report to every configured channel. A channel that fails (or is missing
+// its secrets) is logged and skipped: a notification problem never fails the run itself.
+export async function notify(notifications, report) {
+  const channels = notifications.channels.filter(channel => wanted(channel.on ?? notifications.on, report));
+
+  const results = await Promise.allSettled(channels.map(async channel => {
+    const notifier = createNotifier(channel);
+    await notifier.send(renderMessage(report, notifications.templates, channel.template), report);
+  }));
+
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      logger.info(`📣 Sent ${channels[i].type} notification`, { channel: channels[i].type });
+    } else {
+      logger.warn(`⚠️ ${channels[i].type} notification failed: ${result.reason.message}`, {
+        channel: channels[i].type,
+        error: result.reason.message
+      });
+    }
+  });
+}
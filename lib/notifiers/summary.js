@@ -0,0 +1,120 @@
+// Turns a run report into notification text. Templates use {{placeholders}}; unknown ones are left
+// as written so a typo shows up in the message instead of silently disappearing.
+export const DEFAULT_TEMPLATES = {
+  title: '{{statusEmoji}} Raindrop {{command}} {{status}}',
+  body: '{{summary}}'
+};
+
+// Lines per section, so a run that touched hundreds of bookmarks still fits in a chat message
+const MAX_LINES = 10;
+
+const STATUS_EMOJI = {
+  completed: '✅',
+  completed_with_failures: '⚠️',
+  cancelled: '🚫',
+  skipped: '⏭️',
+  failed: '❌'
+};
+
+function limited(lines) {
+  if (lines.length <= MAX_LINES) return lines;
+  return [...lines.slice(0, MAX_LINES), `…and ${lines.length - MAX_LINES} more`];
+}
+
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return 'n/a';
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Link to the GitHub Actions run when running there, otherwise empty
+function runUrl() {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID
+    ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`
+    : '';
+}
+
+function section(title, lines) {
+  return lines.length ? [title, ...limited(lines)].join('\n') : '';
+}
+
+// Every value a template can use, each section already formatted as text (empty when there's nothing to say)
+export function summaryValues(report) {
+  const counts = report.counts || {};
+  const usage = report.usage;
+  const cost = usage?.estimatedCostUsd;
+
+  const values = {
+    command: report.command,
+    status: report.status,
+    statusEmoji: STATUS_EMOJI[report.status] || 'ℹ️',
+    runId: report.runId,
+    dryRun: report.dryRun ? 'yes' : 'no',
+    startedAt: report.startedAt,
+    finishedAt: report.finishedAt,
+    duration: formatDuration(report.durationMs),
+    bookmarks: counts.bookmarks ?? 0,
+    classified: counts.classified ?? 0,
+    moved: counts.moved ?? 0,
+    reviewed: counts.reviewed ?? 0,
+    updated: counts.updated ?? 0,
+    failed: report.failures?.length ?? 0,
+    tokens: usage?.totalTokens ?? 0,
+    cost: cost === null || cost === undefined ? '?' : `$${cost.toFixed(4)}`,
+    url: runUrl(),
+    categories: section('📁 Per category:', Object.entries(report.categories || {})
+      .sort(([, a], [, b]) => b - a)
+      .map(([category, count]) => `  ${category}: ${count}`)),
+    review: section('👀 Sent to review:', (report.review || [])
+      .map(item => `  ${item.title} (${item.category}): ${item.reason}`)),
+    consolidations: section('🔀 Tags consolidated:', (report.consolidations || [])
+      .map(({ from, to }) => `  ${from} → ${to}`)),
+    newTags: section('🏷️ New tags:', report.newTags?.length ? [`  ${report.newTags.join(', ')}`] : []),
+    errors: section('❌ Errors:', (report.failures || [])
+      .map(failure => `  ${failure.title ? `${failure.title} (${failure.id})` : failure.stage}: ${String(failure.error).split('\n')[0]}`))
+  };
+
+  const overview = [
+    `Run ${values.runId} ${values.status} in ${values.duration}`,
+    [
+      `📥 ${values.bookmarks} bookmarks`,
+      `${values.classified} classified`,
+      `${values.moved} moved`,
+      `${values.reviewed} for review`,
+      ...(counts.updated !== undefined ? [`${values.updated} updated`] : []),
+      `${values.failed} failed`
+    ].join(', '),
+    ...(usage?.requests ? [`💰 ${values.tokens} tokens (~${values.cost})`] : [])
+  ];
+
+  values.summary = [
+    overview.join('\n'),
+    values.categories,
+    values.review,
+    values.consolidations,
+    values.newTags,
+    values.errors,
+    ...(values.url ? [`🔗 ${values.url}`] : [])
+  ].filter(Boolean).join('\n\n');
+
+  return values;
+}
+
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    values[name] !== undefined ? String(values[name]) : placeholder
+  );
+}
+
+// { title, body } for one channel; the channel's own template wins over the shared one, per field
+export function renderMessage(report, templates = {}, channelTemplate = {}) {
+  const values = summaryValues(report);
+  const template = { ...DEFAULT_TEMPLATES, ...templates, ...channelTemplate };
+
+  return {
+    title: renderTemplate(template.title, values),
+    // Sections that came out empty leave blank lines behind in custom templates
+    body: renderTemplate(template.body, values).replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
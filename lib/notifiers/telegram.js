@@ -0,0 +1,22 @@
+import { postJSON, requireEnv } from './http.js';
+
+const DEFAULT_API_URL = 'https://api.telegram.org';
+// Telegram rejects longer messages
+const MAX_LENGTH = 4096;
+
+// Sends plain text (no parse_mode), so bookmark titles with * or _ can't break the message
+export class TelegramNotifier {
+  constructor({ botTokenEnv = 'TELEGRAM_BOT_TOKEN', chatIdEnv = 'TELEGRAM_CHAT_ID', apiUrl = DEFAULT_API_URL } = {}) {
+    this.name = 'telegram';
+    this.url = `${apiUrl.replace(/\/+$/, '')}/bot${requireEnv(botTokenEnv)}/sendMessage`;
+    this.chatId = requireEnv(chatIdEnv);
+  }
+
+  async send({ title, body }) {
+    await postJSON(this.url, {
+      chat_id: this.chatId,
+      text: `${title}\n\n${body}`.slice(0, MAX_LENGTH),
+      disable_web_page_preview: true
+    });
+  }
+}
@@ -0,0 +1,14 @@
+import { postJSON, requireEnv } from './http.js';
+
+// Any HTTP endpoint: gets the rendered message plus the full run report to do its own formatting
+export class WebhookNotifier {
+  constructor({ url, urlEnv, headers = {} } = {}) {
+    this.name = 'webhook';
+    this.url = url || requireEnv(urlEnv);
+    this.headers = headers;
+  }
+
+  async send({ title, body }, report) {
+    await postJSON(this.url, { title, text: body, report }, this.headers);
+  }
+}
@@ -0,0 +1,271 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from "node-fetch";
+import { fetchRaindropCache } from './raindrop.js';
+import { logger } from './logger.js';
+
+// Rough size of a token in English text, for trimming page text to the prompt budget
+const CHARS_PER_TOKEN = 4;
+// Readable text kept in the cache, so raising maxTokens doesn't mean refetching pages
+const MAX_CACHED_TEXT = 20000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; raindrop-classifier)';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) || point > 0x10ffff ? entity : String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function cleanText(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+function parseAttributes(tag) {
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+  }
+  return attributes;
+}
+
+// JSON-LD nodes, flattening arrays and @graph
+function jsonLdNodes(html) {
+  const nodes = [];
+  const scripts = html.matchAll(/<script\b[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi);
+
+  for (const [, json] of scripts) {
+    try {
+      const queue = [JSON.parse(json.trim())];
+      while (queue.length) {
+        const node = queue.shift();
+        if (Array.isArray(node)) queue.push(...node);
+        else if (node && typeof node === 'object') {
+          nodes.push(node);
+          if (node['@graph']) queue.push(node['@graph']);
+        }
+      }
+    } catch {
+      // Malformed JSON-LD is common; the rest of the page is still useful
+    }
+  }
+
+  return nodes;
+}
+
+function asList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(asList);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+// OpenGraph, <meta> description/keywords and JSON-LD fields that help pick a category
+export function extractMetadata(html) {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const { property, name, content } = parseAttributes(tag);
+    const key = (property || name || '').toLowerCase();
+    if (key && content && !meta[key]) meta[key] = cleanText(content);
+  }
+
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  // The node describing the page itself, rather than e.g. the publisher or breadcrumbs
+  const linkedData = jsonLdNodes(html).find(node => node.headline || node.description) || {};
+  const linkedDataType = [].concat(linkedData['@type'] || []).join(', ');
+
+  const keywords = [
+    ...asList(meta.keywords),
+    ...asList(meta['article:tag']),
+    ...asList(linkedData.keywords)
+  ];
+
+  return {
+    title: meta['og:title'] || (linkedData.headline && cleanText(String(linkedData.headline))) || (titleMatch && cleanText(titleMatch[1])) || null,
+    description: meta['og:description'] || meta.description || (typeof linkedData.description === 'string' ? cleanText(linkedData.description) : null),
+    siteName: meta['og:site_name'] || null,
+    type: linkedDataType || meta['og:type'] || null,
+    section: meta['article:section'] || (typeof linkedData.articleSection === 'string' ? linkedData.articleSection : null),
+    keywords: [...new Set(keywords.map(k => k.toLowerCase()))].slice(0, 20)
+  };
+}
+
+// Main readable text: <article> or <main> when the page has one, otherwise the body minus
+// navigation, headers, footers and sidebars
+export function extractReadableText(html) {
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template|iframe|head)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const toText = (fragment) => cleanText(fragment
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '));
+
+  const main = body.match(/<article\b[\s\S]*<\/article>/i) || body.match(/<main\b[\s\S]*<\/main>/i);
+  const mainText = main ? toText(main[0]) : '';
+  // Some sites wrap only a teaser in <article>; fall back to the whole page then
+  if (mainText.length >= 200) return mainText;
+
+  return toText(body.replace(/<(nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, ' '));
+}
+
+// Read at most maxBytes of the response body; the rest of the page is never downloaded
+async function readBody(resp, maxBytes) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of resp.body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) break;
+  }
+
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+function decodeBody(buffer, contentType) {
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+// Fetch one page (directly or from Raindrop's cache) within the timeout and size cap
+async function fetchPage(bookmark, source, settings) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+  try {
+    const resp = source === 'raindrop-cache'
+      ? await fetchRaindropCache(bookmark._id, { signal: controller.signal })
+      : await fetch(bookmark.link, {
+        signal: controller.signal,
+        headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+      });
+
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+    const contentType = resp.headers.get('content-type') || '';
+    const content = {
+      url: bookmark.link,
+      source,
+      fetchedAt: new Date().toISOString(),
+      contentType: contentType.split(';')[0].trim() || null,
+      metadata: null,
+      text: ''
+    };
+
+    // PDFs, images and the like: the content type alone is still a useful hint
+    if (!/html|xml/i.test(contentType)) {
+      resp.body.destroy?.();
+      return content;
+    }
+
+    const html = decodeBody(await readBody(resp, settings.maxBytes), contentType);
+    content.metadata = extractMetadata(html);
+    content.text = extractReadableText(html).slice(0, MAX_CACHED_TEXT);
+    return content;
+  } catch (error) {
+    throw new Error(controller.signal.aborted ? `timed out after ${settings.timeoutMs}ms` : error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function cachePath(url, cacheDir) {
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+async function readCache(url, cacheDir) {
+  try {
+    const cached = JSON.parse(await fs.readFile(cachePath(url, cacheDir), 'utf8'));
+    return cached.url === url ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(content, cacheDir) {
+  try {
+    await fs.mkdir(cacheDir, { recursive: true });
+    await fs.writeFile(cachePath(content.url, cacheDir), JSON.stringify(content));
+  } catch (error) {
+    logger.warn(`⚠️ Error caching page content: ${error.message}`, { error });
+  }
+}
+
+// Whether a bookmark's own excerpt is too thin to classify from
+export function needsPageContent(bookmark, settings) {
+  return settings.enabled &&
+    /^https?:\/\//i.test(bookmark.link || '') &&
+    (bookmark.excerpt || '').trim().length < settings.minExcerptLength;
+}
+
+// Page content for a bookmark with a thin excerpt, from the on-disk cache, Raindrop's permanent copy
+// or the page itself. Returns null when it isn't needed or can't be fetched; classification goes on without it.
+export async function getPageContent(bookmark, settings) {
+  if (!needsPageContent(bookmark, settings)) return null;
+
+  const cached = await readCache(bookmark.link, settings.cacheDir);
+  if (cached) return cached;
+
+  const sources = settings.useRaindropCache && bookmark.cache?.status === 'ready'
+    ? ['raindrop-cache', 'page']
+    : ['page'];
+
+  for (const source of sources) {
+    try {
+      const content = await fetchPage(bookmark, source, settings);
+      logger.info(`📄 Fetched ${source === 'raindrop-cache' ? "Raindrop's copy of" : 'page for'} "${bookmark.title}"`);
+      await writeCache(content, settings.cacheDir);
+      return content;
+    } catch (error) {
+      logger.warn(`⚠️ Could not fetch ${source === 'raindrop-cache' ? "Raindrop's copy of" : 'page for'} "${bookmark.title}": ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+// Page content for several bookmarks at once, as a Map of bookmark _id → content
+export async function getPageContents(bookmarks, settings) {
+  const contents = await Promise.all(bookmarks.map(bookmark => getPageContent(bookmark, settings)));
+  return new Map(bookmarks.map((bookmark, index) => [bookmark._id, contents[index]]).filter(([, content]) => content));
+}
+
+function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+
+  const cut = text.slice(0, maxChars);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxChars)}…`;
+}
+
+// Prompt lines ("Page description: ..." etc.) for fetched page content, with the text cut to maxTokens
+export function describePageContent(content, maxTokens) {
+  if (!content) return [];
+
+  const { metadata } = content;
+  const lines = [];
+
+  if (metadata?.title) lines.push(`Page title: ${metadata.title}`);
+  if (metadata?.siteName) lines.push(`Site: ${metadata.siteName}`);
+  if (metadata?.type || (content.contentType && !/html/i.test(content.contentType))) {
+    lines.push(`Page type: ${metadata?.type || content.contentType}`);
+  }
+  if (metadata?.section) lines.push(`Section: ${metadata.section}`);
+  if (metadata?.description) lines.push(`Page description: ${metadata.description}`);
+  if (metadata?.keywords?.length) lines.push(`Page keywords: ${metadata.keywords.join(", ")}`);
+  if (content.text) lines.push(`Page text: ${truncateToTokens(content.text, maxTokens)}`);
+
+  return lines;
+}
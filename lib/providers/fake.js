@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import { recordUsage } from '../usage.js';
+
+const FAKE_EMBEDDING_DIMENSIONS = 64;
+
+// Deterministic stand-in for an embedding: texts sharing trigrams get similar vectors
+function trigramVector(text) {
+  const vector = new Array(FAKE_EMBEDDING_DIMENSIONS).fill(0);
+  const padded = `#${text.toLowerCase()}#`;
+
+  for (let i = 0; i < padded.length - 2; i++) {
+    let hash = 2166136261;
+    for (const char of padded.slice(i, i + 3)) {
+      hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    vector[(hash >>> 0) % FAKE_EMBEDDING_DIMENSIONS] += 1;
+  }
+
+  return vector;
+}
+
+// Deterministic provider for offline runs: answers from a fixtures file instead of a model.
+// The first entry in `responses`, then `defaults`, whose `match` strings all appear in the prompt wins.
+// Embeddings come from the fixtures' `embeddings` map, or a hash of the text's character trigrams.
+export class FakeProvider {
+  constructor({ model = 'fake', fixtures = 'fixtures/fake-llm.json' } = {}) {
+    this.name = 'fake';
+    this.model = model;
+    this.fixturesPath = fixtures;
+    this.fixtures = null;
+    this.calls = [];
+  }
+
+  async loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(await fs.readFile(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  async completeJSON(prompt) {
+    const { responses = [], defaults = [] } = await this.loadFixtures();
+    this.calls.push(prompt);
+    // Counted as requests; there are no tokens to report
+    recordUsage(this.model);
+
+    const fixture = [...responses, ...defaults].find(({ match }) =>
+      [].concat(match).every(text => prompt.includes(text))
+    );
+
+    if (!fixture) {
+      throw new Error(`No fake LLM fixture in ${this.fixturesPath} matches prompt: ${prompt.slice(0, 80)}...`);
+    }
+
+    // Hand out a copy so callers can't mutate the fixture
+    return structuredClone(fixture.response);
+  }
+
+  async embed(texts) {
+    const { embeddings = {} } = await this.loadFixtures();
+    return texts.map(text => embeddings[text] ? [...embeddings[text]] : trigramVector(text));
+  }
+}
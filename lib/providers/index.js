@@ -0,0 +1,23 @@
+import { OpenAIProvider } from './openai.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { FakeProvider } from './fake.js';
+
+export const PROVIDER_TYPES = ['openai', 'openai-compatible', 'fake'];
+
+// Build the LLM provider described by the loaded config, or by `providerConfig` when given
+// (e.g. a separate provider for embeddings)
+export function createProvider(config, providerConfig = config.provider) {
+  const { type, baseURL, apiKeyEnv, fixtures } = providerConfig;
+  const apiKey = apiKeyEnv ? process.env[apiKeyEnv] : undefined;
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIProvider({ model: config.model, apiKey: apiKey ?? process.env.OPENAI_API_KEY, baseURL });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ model: config.model, apiKey, baseURL });
+    case 'fake':
+      return new FakeProvider({ model: config.model, fixtures });
+    default:
+      throw new Error(`Unknown LLM provider "${type}" (expected one of: ${PROVIDER_TYPES.join(', ')})`);
+  }
+}
@@ -0,0 +1,25 @@
+import { OpenAIProvider } from './openai.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+
+// Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, LM Studio, vLLM...)
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ model, baseURL = DEFAULT_BASE_URL, apiKey } = {}) {
+    // Local servers usually ignore the key, but the SDK refuses to start without one
+    super({ model, baseURL, apiKey: apiKey || 'not-needed' });
+    this.name = 'openai-compatible';
+    this.baseURL = baseURL;
+  }
+
+  // Smaller local models don't always honor JSON mode and wrap the object in prose or code fences
+  parseJSON(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const start = content.indexOf('{');
+      const end = content.lastIndexOf('}');
+      if (start === -1 || end <= start) throw error;
+      return JSON.parse(content.slice(start, end + 1));
+    }
+  }
+}
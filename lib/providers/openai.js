@@ -0,0 +1,44 @@
+import OpenAI from "openai";
+import { schedulers } from '../scheduler.js';
+import { recordUsage } from '../usage.js';
+
+// OpenAI chat completions in JSON mode, plus embeddings
+export class OpenAIProvider {
+  constructor({ model, apiKey = process.env.OPENAI_API_KEY, baseURL } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    // Retries and rate limiting are handled by the shared LLM scheduler instead of the SDK
+    this.client = new OpenAI({ apiKey, maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+  }
+
+  async completeJSON(prompt) {
+    const resp = await schedulers.llm.schedule(() => this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: "user", content: prompt }],
+      response_format: { type: "json_object" },
+    }));
+    recordUsage(this.model, {
+      promptTokens: resp.usage?.prompt_tokens,
+      completionTokens: resp.usage?.completion_tokens
+    });
+
+    return this.parseJSON(resp.choices[0].message.content);
+  }
+
+  // One vector per text, in input order
+  async embed(texts, model) {
+    const resp = await schedulers.llm.schedule(() => this.client.embeddings.create({
+      model,
+      input: texts,
+    }));
+    recordUsage(model, { promptTokens: resp.usage?.prompt_tokens });
+
+    return [...resp.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  parseJSON(content) {
+    return JSON.parse(content);
+  }
+}
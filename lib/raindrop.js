@@ -0,0 +1,118 @@
+import fetch from "node-fetch";
+import { schedulers } from './scheduler.js';
+
+const RAINDROP_API = process.env.RAINDROP_API_URL || 'https://api.raindrop.io/rest/v1';
+
+function authHeaders() {
+  return { Authorization: `Bearer ${process.env.RAINDROP_TOKEN}` };
+}
+
+// Every Raindrop call goes through the shared scheduler (rate limits, retries on 429/5xx)
+function raindropFetch(path, options = {}, scheduleOptions) {
+  return schedulers.raindrop.schedule(() => fetch(`${RAINDROP_API}/${path}`, {
+    ...options,
+    headers: {
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      ...authHeaders(),
+    },
+  }), scheduleOptions);
+}
+
+// Fetch one page of bookmarks from a collection (-1 = Unsorted, 0 = all)
+export async function fetchRaindropsPage(collectionId, page, perpage = 50) {
+  const resp = await raindropFetch(`raindrops/${collectionId}?perpage=${perpage}&page=${page}`);
+
+  if (!resp.ok) throw new Error(`Failed to fetch bookmarks from collection ${collectionId}`);
+  const data = await resp.json();
+  return data.items;
+}
+
+// Fetch a single bookmark, or null if Raindrop doesn't return it
+export async function fetchRaindrop(id) {
+  const resp = await raindropFetch(`raindrop/${id}`);
+
+  if (!resp.ok) return null;
+  const data = await resp.json();
+  return data.item || null;
+}
+
+// Raindrop's permanent copy of a bookmarked page (Pro accounts, when bookmark.cache.status is
+// "ready"); returns the raw response so callers can cap how much they read
+export async function fetchRaindropCache(id, { signal } = {}) {
+  return raindropFetch(`raindrop/${id}/cache`, { signal });
+}
+
+// Update a single bookmark (collection and/or tags); returns the raw response
+export async function updateRaindrop(id, changes) {
+  return raindropFetch(`raindrop/${id}`, {
+    method: "PUT",
+    body: JSON.stringify(changes),
+  });
+}
+
+// List every collection the user has, root and nested
+export async function fetchCollections() {
+  const collections = [];
+
+  for (const endpoint of ['collections', 'collections/childrens']) {
+    const resp = await raindropFetch(endpoint);
+
+    if (!resp.ok) throw new Error(`Failed to fetch ${endpoint}`);
+    const data = await resp.json();
+    collections.push(...data.items);
+  }
+
+  return collections;
+}
+
+// Create a collection, optionally nested under a parent collection
+export async function createCollection(title, parentId = null) {
+  const resp = await raindropFetch('collection', {
+    method: "POST",
+    body: JSON.stringify({
+      title,
+      ...(parentId ? { parent: { $id: parentId } } : {}),
+    }),
+  }, { idempotent: false });
+
+  if (!resp.ok) throw new Error(`Failed to create collection "${title}": ${await resp.text()}`);
+  const data = await resp.json();
+  return data.item;
+}
+
+// Update many bookmarks in one collection at once. `changes` may hold `collection` (move) and/or
+// `tags`, which Raindrop *appends* to each bookmark. Resolves to { ok, modified, error }; ok is false
+// unless every ID was modified, so callers can retry the batch one bookmark at a time.
+export async function bulkUpdateRaindrops(collectionId, ids, changes) {
+  const resp = await raindropFetch(`raindrops/${collectionId}`, {
+    method: "PUT",
+    body: JSON.stringify({ ids, ...changes }),
+  });
+
+  if (!resp.ok) {
+    return { ok: false, modified: 0, error: `HTTP ${resp.status}: ${await resp.text()}` };
+  }
+
+  const data = await resp.json();
+  const modified = data.modified ?? (data.result ? ids.length : 0);
+  return {
+    ok: data.result === true && modified >= ids.length,
+    modified,
+    error: data.result ? null : data.errorMessage || 'Raindrop rejected the bulk update'
+  };
+}
+
+// Rename `tags` to `replace` on every bookmark in a collection (merging them if `replace` exists)
+export async function mergeTags(collectionId, tags, replace) {
+  const resp = await raindropFetch(`tags/${collectionId}`, {
+    method: "PUT",
+    body: JSON.stringify({ tags, replace }),
+  });
+
+  if (!resp.ok) {
+    return { ok: false, error: `HTTP ${resp.status}: ${await resp.text()}` };
+  }
+
+  const data = await resp.json();
+  return { ok: data.result === true, error: data.result ? null : data.errorMessage || 'Raindrop rejected the tag merge' };
+}
@@ -0,0 +1,172 @@
+import fs from 'fs/promises';
+import { CONTENT_TYPES } from './content-types.js';
+
+export const RULES_PATH = process.env.CLASSIFIER_RULES || 'classifier.rules.json';
+
+// Raindrop's own bookmark types (bookmark.type)
+const RAINDROP_TYPES = ['link', 'article', 'image', 'video', 'document', 'audio'];
+const RULE_KEYS = ['name', 'match', 'category', 'addTags', 'forbidTags', 'contentType', 'skipLLM'];
+const MATCH_KEYS = ['domain', 'urlPattern', 'titleKeywords', 'type'];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// Match conditions and tag lists accept a single string or a list of strings
+function asList(value) {
+  return value === undefined ? [] : [].concat(value);
+}
+
+function isStringList(value) {
+  return asList(value).length > 0 && asList(value).every(isNonEmptyString);
+}
+
+// Check the raw rules file; returns a list of problems (empty when valid)
+export function validateRules(raw, categoryNames) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.rules)) {
+    return ['rules file must be a JSON object with a "rules" array'];
+  }
+
+  raw.rules.forEach((rule, index) => {
+    const label = isNonEmptyString(rule?.name) ? `rule "${rule.name}"` : `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) {
+        errors.push(`${label}: unknown key "${key}"`);
+      }
+    }
+
+    const match = rule.match;
+    if (!match || typeof match !== 'object' || Array.isArray(match) || Object.keys(match).length === 0) {
+      errors.push(`${label}: "match" must be an object with at least one condition`);
+    } else {
+      for (const key of Object.keys(match)) {
+        if (!MATCH_KEYS.includes(key)) {
+          errors.push(`${label}: unknown match condition "${key}"`);
+        } else if (!isStringList(match[key])) {
+          errors.push(`${label}: match "${key}" must be a string or a list of strings`);
+        }
+      }
+
+      for (const pattern of isStringList(match.urlPattern) ? asList(match.urlPattern) : []) {
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`${label}: invalid urlPattern "${pattern}" (${error.message})`);
+        }
+      }
+
+      for (const type of isStringList(match.type) ? asList(match.type) : []) {
+        if (!RAINDROP_TYPES.includes(type)) {
+          errors.push(`${label}: match type "${type}" must be one of ${RAINDROP_TYPES.join(', ')}`);
+        }
+      }
+    }
+
+    if (rule.category !== undefined && !categoryNames.includes(rule.category)) {
+      errors.push(`${label}: "category" must be one of the configured categories, or "Category / Subcategory"`);
+    }
+
+    for (const key of ['addTags', 'forbidTags']) {
+      if (rule[key] !== undefined && !isStringList(rule[key])) {
+        errors.push(`${label}: "${key}" must be a string or a list of strings`);
+      }
+    }
+
+    if (rule.contentType !== undefined && !CONTENT_TYPES.includes(rule.contentType)) {
+      errors.push(`${label}: "contentType" must be one of ${CONTENT_TYPES.join(', ')}`);
+    }
+
+    if (rule.skipLLM !== undefined && typeof rule.skipLLM !== 'boolean') {
+      errors.push(`${label}: "skipLLM" must be true or false`);
+    }
+    if (rule.skipLLM && (rule.category === undefined || rule.addTags === undefined)) {
+      errors.push(`${label}: "skipLLM" needs both "category" and "addTags", since the model won't be asked for them`);
+    }
+
+    if (rule.category === undefined && rule.addTags === undefined && rule.forbidTags === undefined && rule.contentType === undefined) {
+      errors.push(`${label}: sets nothing (expected category, addTags, forbidTags or contentType)`);
+    }
+  });
+
+  return errors;
+}
+
+// Load and validate the rules file. A missing file means no rules, unless CLASSIFIER_RULES points at it.
+export async function loadRules(categoryNames, rulesPath = RULES_PATH) {
+  let raw;
+
+  try {
+    raw = JSON.parse(await fs.readFile(rulesPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !process.env.CLASSIFIER_RULES) return [];
+    if (error.code === 'ENOENT') {
+      throw new Error(`Rules file ${rulesPath} not found`);
+    }
+    throw new Error(`Could not read rules file ${rulesPath}: ${error.message}`);
+  }
+
+  const errors = validateRules(raw, categoryNames);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules in ${rulesPath}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  return raw.rules.map((rule, index) => ({
+    name: rule.name || `rule ${index + 1}`,
+    domains: asList(rule.match.domain).map(d => d.toLowerCase().replace(/^www\./, '')),
+    urlPatterns: asList(rule.match.urlPattern).map(pattern => new RegExp(pattern, 'i')),
+    titleKeywords: asList(rule.match.titleKeywords).map(k => k.toLowerCase()),
+    types: asList(rule.match.type),
+    category: rule.category,
+    addTags: asList(rule.addTags),
+    forbidTags: asList(rule.forbidTags),
+    contentType: rule.contentType,
+    skipLLM: rule.skipLLM === true
+  }));
+}
+
+function hostname(link) {
+  try {
+    return new URL(link).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// Every condition a rule sets must hold; a list matches if any of its entries does
+function ruleMatches(rule, bookmark) {
+  const host = hostname(bookmark.link || '');
+  const title = (bookmark.title || '').toLowerCase();
+
+  return (!rule.domains.length || rule.domains.some(domain => host === domain || host.endsWith(`.${domain}`))) &&
+    (!rule.urlPatterns.length || rule.urlPatterns.some(pattern => pattern.test(bookmark.link || ''))) &&
+    (!rule.titleKeywords.length || rule.titleKeywords.some(keyword => title.includes(keyword))) &&
+    (!rule.types.length || rule.types.includes(bookmark.type));
+}
+
+// Combined outcome of the rules matching a bookmark, or null if none do. Rules apply in file order:
+// the first to set a category or content type wins, tags from all of them add up. `decided` means
+// the bookmark can be filed without asking the model.
+export function applyRules(bookmark, rules) {
+  const matched = rules.filter(rule => ruleMatches(rule, bookmark));
+  if (!matched.length) return null;
+
+  const outcome = {
+    rules: matched.map(rule => rule.name),
+    category: matched.find(rule => rule.category)?.category ?? null,
+    contentType: matched.find(rule => rule.contentType)?.contentType ?? null,
+    addTags: [...new Set(matched.flatMap(rule => rule.addTags))],
+    forbidTags: [...new Set(matched.flatMap(rule => rule.forbidTags))],
+    decided: false
+  };
+  outcome.decided = matched.some(rule => rule.skipLLM && rule.category === outcome.category);
+
+  return outcome;
+}
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { categoryPath } from './config.js';
+import { usageSummary } from './usage.js';
+import { logger, configureLogger } from './logger.js';
+import { createRunId } from './journal.js';
+
+export const REPORT_DIR = process.env.REPORT_DIR || 'reports';
+
+// Machine-readable summary of one command run, written as JSON when the run ends (including when it
+// fails), so the workflow and notifications can say what actually happened
+export class RunReport {
+  constructor(command, { dryRun = false } = {}) {
+    this.report = {
+      command,
+      // Replaced by the journal's run ID when the run changes anything, so the two can be matched up
+      runId: createRunId(command),
+      status: 'running',
+      dryRun,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      counts: {},
+      categories: {},
+      review: [],
+      newTags: [],
+      consolidations: [],
+      failures: [],
+      usage: null
+    };
+    this.started = Date.now();
+    this.setRunId(this.report.runId);
+  }
+
+  // JSON log lines carry the run ID too, so they can be matched with the report
+  setRunId(runId) {
+    this.report.runId = runId;
+    configureLogger({ context: { runId } });
+  }
+
+  count(name, amount = 1) {
+    this.report.counts[name] = (this.report.counts[name] || 0) + amount;
+  }
+
+  // Results of processBookmarks: counts, bookmarks filed per category, those sent to review and
+  // failures with their reasons
+  addSummary(summary) {
+    for (const key of ['classified', 'decidedByRules', 'moved', 'reviewed', 'failed']) {
+      if (summary[key] !== undefined) this.count(key, summary[key]);
+    }
+
+    // Only bookmarks actually filed (or, in a dry run, that would be); review and failed items
+    // are listed under `review` and `failures` instead
+    const filed = summary.items.filter(item =>
+      !item.review && (this.report.dryRun ? item.status === undefined : item.status === 'moved')
+    );
+    for (const item of filed) {
+      const category = categoryPath(item.category, item.subcategory);
+      this.report.categories[category] = (this.report.categories[category] || 0) + 1;
+    }
+
+    this.report.review.push(...summary.items
+      .filter(item => item.review)
+      .map(item => ({
+        id: item.id,
+        title: item.title,
+        category: categoryPath(item.category, item.subcategory),
+        reason: item.review
+      })));
+
+    this.addFailures([
+      ...summary.errors,
+      ...summary.items
+        .filter(item => item.status === 'failed')
+        .map(item => ({ id: item.id, title: item.title, stage: 'apply', error: item.error }))
+    ]);
+  }
+
+  addFailures(failures) {
+    this.report.failures.push(...failures);
+  }
+
+  // New tags and consolidations recorded by a TagManager during the run
+  addTagChanges(tagManager) {
+    this.report.newTags.push(...tagManager.createdTags);
+    this.report.consolidations.push(...tagManager.consolidations);
+  }
+
+  addConsolidations(consolidations) {
+    this.report.consolidations.push(...consolidations);
+  }
+
+  // Finish the report and write it to `reportPath` (default reports/<runId>.json)
+  async write({ status, pricing, reportPath } = {}) {
+    const finished = Date.now();
+    Object.assign(this.report, {
+      status,
+      finishedAt: new Date(finished).toISOString(),
+      durationMs: finished - this.started,
+      usage: usageSummary(pricing)
+    });
+
+    const target = reportPath || path.join(REPORT_DIR, `${this.report.runId}.json`);
+    try {
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, JSON.stringify(this.report, null, 2));
+      logger.info(`🧾 Run report written to ${target}`, { reportPath: target });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to write run report: ${error.message}`, { error });
+    }
+
+    return this.report;
+  }
+}
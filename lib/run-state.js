@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+
+export const STATE_PATH = process.env.CLASSIFY_STATE_PATH || 'classify-state.json';
+
+// Finished runs kept in the state file for reference
+const MAX_FINISHED_RUNS = 20;
+
+// Progress of classification runs, saved after every checkpoint so an interrupted run can pick up
+// where it stopped, plus the bookmarks that failed (across runs) so they can be retried on their own
+export class RunState {
+  constructor({ readOnly = false, statePath = STATE_PATH } = {}) {
+    this.statePath = statePath;
+    // Dry runs may read the state (e.g. to retry failures) but never change it
+    this.readOnly = readOnly;
+    this.state = { runs: {}, failures: {} };
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      this.state = { runs: data.runs || {}, failures: data.failures || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ Error loading run state, starting fresh: ${error.message}`, { error });
+      }
+    }
+  }
+
+  // Written to a temporary file first, so a crash mid-write can't leave a truncated state file
+  async save() {
+    if (this.readOnly) return;
+
+    const tempPath = `${this.statePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2));
+    await fs.rename(tempPath, this.statePath);
+  }
+
+  // The most recent run of `source` that never finished, if any
+  interruptedRun(source) {
+    return Object.values(this.state.runs)
+      .filter(run => run.source === source && run.status === 'running')
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))[0] || null;
+  }
+
+  async startRun(runId, source) {
+    const now = new Date().toISOString();
+    this.state.runs[runId] = this.state.runs[runId] || {
+      runId,
+      source,
+      startedAt: now,
+      status: 'running',
+      lastProcessedId: null,
+      lastProcessedAt: null,
+      processed: [],
+      counts: { classified: 0, moved: 0, reviewed: 0, failed: 0 }
+    };
+    this.state.runs[runId].updatedAt = now;
+    await this.save();
+    return this.state.runs[runId];
+  }
+
+  isProcessed(runId, bookmarkId) {
+    return this.state.runs[runId]?.processed.includes(bookmarkId) ?? false;
+  }
+
+  failedIds() {
+    return Object.keys(this.state.failures).map(Number);
+  }
+
+  clearFailure(bookmarkId) {
+    delete this.state.failures[bookmarkId];
+  }
+
+  // Record a finished chunk of processBookmarks: every bookmark in it counts as processed, failures
+  // (classification errors or failed updates) are kept for a later retry, and successes clear old failures
+  async checkpoint(runId, bookmarks, summary) {
+    const run = this.state.runs[runId];
+    const now = new Date().toISOString();
+    const failures = [
+      ...summary.errors,
+      ...summary.items
+        .filter(item => item.status === 'failed')
+        .map(item => ({ id: item.id, title: item.title, stage: 'apply', error: item.error }))
+    ];
+    const failedIds = new Set(failures.map(failure => failure.id));
+
+    for (const failure of failures) {
+      const previous = this.state.failures[failure.id];
+      this.state.failures[failure.id] = {
+        title: failure.title,
+        stage: failure.stage,
+        error: failure.error,
+        attempts: (previous?.attempts || 0) + 1,
+        lastAttemptAt: now,
+        runId
+      };
+    }
+
+    for (const item of summary.items) {
+      if (!failedIds.has(item.id)) this.clearFailure(item.id);
+    }
+
+    const attempted = bookmarks.map(bookmark => bookmark._id);
+    run.processed.push(...attempted);
+    run.lastProcessedId = attempted.at(-1) ?? run.lastProcessedId;
+    run.lastProcessedAt = now;
+    run.updatedAt = now;
+    run.counts.classified += summary.classified;
+    run.counts.moved += summary.moved;
+    run.counts.reviewed += summary.reviewed;
+    run.counts.failed += summary.failed;
+
+    await this.save();
+  }
+
+  async finishRun(runId) {
+    const run = this.state.runs[runId];
+    run.status = 'completed';
+    run.finishedAt = new Date().toISOString();
+    // Only needed to resume; a finished run's bookmarks are either filed or listed under failures
+    delete run.processed;
+
+    const finished = Object.values(this.state.runs)
+      .filter(r => r.status === 'completed')
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    finished.slice(MAX_FINISHED_RUNS).forEach(r => delete this.state.runs[r.runId]);
+
+    await this.save();
+    return run;
+  }
+}
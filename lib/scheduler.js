@@ -0,0 +1,206 @@
+import { logger } from './logger.js';
+
+const RETRYABLE_STATUS = (status) => status === 429 || (status >= 500 && status < 600);
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Works for fetch Headers and for the plain header objects the OpenAI SDK attaches to errors
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Delay requested by the server, in ms (Retry-After as seconds or HTTP date, or retry-after-ms)
+function retryAfterMs(headers) {
+  const ms = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = getHeader(headers, 'retry-after');
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// When the rate-limit window resets, if the server says we've used it up (Raindrop's X-RateLimit-*)
+function rateLimitResetAt(headers) {
+  const remaining = getHeader(headers, 'x-ratelimit-remaining') ?? getHeader(headers, 'ratelimit-remaining');
+  if (remaining === null || parseInt(remaining, 10) > 0) return null;
+
+  const reset = parseFloat(getHeader(headers, 'x-ratelimit-reset') ?? getHeader(headers, 'ratelimit-reset'));
+  if (Number.isNaN(reset)) return null;
+
+  // Either an epoch timestamp in seconds or a number of seconds from now
+  return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+}
+
+function isRetryableError(error) {
+  if (error.status) return RETRYABLE_STATUS(error.status);
+  return RETRYABLE_ERROR_CODES.includes(error.code) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'FetchError';
+}
+
+// Limits requests to one API: at most `concurrency` in flight, a token bucket refilled at
+// `requestsPerMinute`, and exponential backoff with jitter on 429/5xx and network errors.
+// A 429 or an exhausted X-RateLimit window pauses every request on the scheduler, not just the one that hit it.
+export class RequestScheduler {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.configure(options);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  configure(options = {}) {
+    const settings = {
+      concurrency: 4,
+      requestsPerMinute: 60,
+      maxRetries: 5,
+      baseDelayMs: 1000,
+      maxDelayMs: 60000,
+      ...this.settings,
+      ...options
+    };
+    // Unless set, allow bursts of about six seconds' worth of requests
+    settings.burst = options.burst ?? Math.max(1, Math.ceil(settings.requestsPerMinute / 10));
+
+    this.settings = settings;
+    Object.assign(this, settings);
+    this.tokens = Math.min(this.tokens ?? settings.burst, settings.burst);
+  }
+
+  async acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    // The releasing request hands its slot straight over, so `active` stays the same
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async takeToken() {
+    const refillPerMs = this.requestsPerMinute / 60000;
+
+    while (true) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        continue;
+      }
+
+      this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * refillPerMs);
+      this.lastRefill = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil((1 - this.tokens) / refillPerMs));
+    }
+  }
+
+  backoffMs(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  // Run `task` (returning a fetch Response or any value, or throwing an SDK error) under the limits.
+  // Non-idempotent requests (e.g. creating something) are only retried on 429, never on 5xx.
+  async schedule(task, { idempotent = true } = {}) {
+    await this.acquireSlot();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        await this.takeToken();
+
+        let result;
+        let error;
+        try {
+          result = await task();
+        } catch (err) {
+          error = err;
+        }
+
+        const headers = error ? error.headers : result?.headers;
+        const resetAt = rateLimitResetAt(headers);
+        if (resetAt) {
+          this.pausedUntil = Math.max(this.pausedUntil, resetAt);
+        }
+
+        const status = error ? error.status : result?.status;
+        const retryable = idempotent
+          ? (error ? isRetryableError(error) : RETRYABLE_STATUS(status))
+          : status === 429;
+
+        if (!retryable || attempt >= this.maxRetries) {
+          if (error) throw error;
+          return result;
+        }
+
+        const delay = Math.min(this.maxDelayMs, retryAfterMs(headers) ?? this.backoffMs(attempt));
+        if (status === 429) {
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+        }
+
+        logger.warn(`⏳ ${this.name}: ${status ?? error.code ?? error.name}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.maxRetries})`, {
+          scheduler: this.name,
+          status,
+          delayMs: delay,
+          attempt: attempt + 1
+        });
+        await sleep(delay);
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+}
+
+// Shared schedulers, one per upstream API
+export const schedulers = {
+  raindrop: new RequestScheduler('Raindrop', { concurrency: 4, requestsPerMinute: 120 }),
+  llm: new RequestScheduler('LLM', { concurrency: 4, requestsPerMinute: 120 })
+};
+
+// Apply the `scheduler` section of the loaded config to the shared schedulers
+export function configureSchedulers(schedulerConfig = {}) {
+  if (schedulerConfig.raindrop) schedulers.raindrop.configure(schedulerConfig.raindrop);
+  if (schedulerConfig.llm) schedulers.llm.configure(schedulerConfig.llm);
+}
+
+// Run fn over items with at most `limit` in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
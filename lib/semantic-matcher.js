@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createProvider } from './providers/index.js';
+import { logger } from './logger.js';
+
+// Embeddings requested per call when filling the cache
+const EMBED_BATCH_SIZE = 100;
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+// Matches new tags to canonical tags by embedding similarity. Embeddings are cached per tag in
+// tag-embeddings.json in `cacheDir` (next to the registry by default); the cache is dropped if the
+// embedding model changes.
+export class SemanticMatcher {
+  constructor({ provider, model, threshold, cacheDir }) {
+    this.provider = provider;
+    this.model = model;
+    this.threshold = threshold;
+    this.cachePath = path.join(cacheDir, 'tag-embeddings.json');
+    this.cache = null;
+    this.dirty = false;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+      this.cache = data.model === this.model ? data.embeddings : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ Error loading tag embeddings, starting fresh: ${error.message}`, { error });
+      }
+      this.cache = {};
+    }
+
+    return this.cache;
+  }
+
+  async saveCache() {
+    if (!this.dirty) return;
+
+    try {
+      await fs.writeFile(this.cachePath, JSON.stringify({ model: this.model, embeddings: this.cache }));
+      this.dirty = false;
+    } catch (error) {
+      logger.warn(`⚠️ Error saving tag embeddings: ${error.message}`, { error });
+    }
+  }
+
+  // Embed whichever of `tags` aren't cached yet
+  async ensureEmbeddings(tags) {
+    const cache = await this.loadCache();
+    const missing = [...new Set(tags)].filter(tag => !cache[tag]);
+
+    for (let i = 0; i < missing.length; i += EMBED_BATCH_SIZE) {
+      const batch = missing.slice(i, i + EMBED_BATCH_SIZE);
+      // Hyphens read better to embedding models as spaces ("machine-learning" → "machine learning")
+      const vectors = await this.provider.embed(batch.map(tag => tag.replace(/-/g, ' ')), this.model);
+      batch.forEach((tag, index) => { cache[tag] = vectors[index]; });
+      this.dirty = true;
+    }
+
+    return cache;
+  }
+
+  // Best-scoring candidate for `tag`, as { tag, similarity }, or null if there are no candidates
+  async bestMatch(tag, candidates) {
+    const cache = await this.ensureEmbeddings([tag, ...candidates]);
+    let best = null;
+
+    for (const candidate of candidates) {
+      if (candidate === tag) continue;
+      const similarity = cosineSimilarity(cache[tag], cache[candidate]);
+      if (!best || similarity > best.similarity) {
+        best = { tag: candidate, similarity };
+      }
+    }
+
+    return best;
+  }
+}
+
+// The matcher for config.tagMatching, or null when tags are matched by edit distance only
+export function createTagMatcher(config, cacheDir) {
+  const { strategy, semanticThreshold, embeddingModel, embeddingProvider } = config.tagMatching;
+  if (strategy !== 'semantic') return null;
+
+  return new SemanticMatcher({
+    provider: createProvider(config, embeddingProvider ?? config.provider),
+    model: embeddingModel,
+    threshold: semanticThreshold,
+    cacheDir
+  });
+}
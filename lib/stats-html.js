@@ -0,0 +1,156 @@
+import { formatMetric } from './tag-metrics.js';
+
+// Static, self-contained HTML version of the stats command's report (no scripts or external assets),
+// so it can be opened locally or published as a workflow artifact
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 24;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Line chart of one metric over the history, with its threshold as a dashed line
+function chart(summary, history) {
+  const points = history
+    .map((entry, i) => ({ entry, i, value: entry[summary.metric] }))
+    .filter(point => typeof point.value === 'number');
+  if (points.length === 0) return '<p class="muted">No data yet.</p>';
+
+  const values = points.map(point => point.value).concat(summary.threshold ?? []);
+  const [min, max] = [Math.min(...values), Math.max(...values)];
+  const x = (i) => CHART_PADDING + (history.length > 1 ? i / (history.length - 1) : 0.5) * (CHART_WIDTH - 2 * CHART_PADDING);
+  const y = (v) => CHART_HEIGHT - CHART_PADDING - (max === min ? 0.5 : (v - min) / (max - min)) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  const line = points.map(point => `${x(point.i).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+  const dots = points.map(point => {
+    const past = point.entry.pastThreshold.includes(summary.metric);
+    return `<circle cx="${x(point.i).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="3" class="${past ? 'past' : ''}">` +
+      `<title>${escapeHtml(point.entry.timestamp)}: ${escapeHtml(formatMetric(summary.metric, point.value))}</title></circle>`;
+  }).join('');
+  const threshold = summary.threshold === null ? '' :
+    `<line x1="${CHART_PADDING}" x2="${CHART_WIDTH - CHART_PADDING}" y1="${y(summary.threshold).toFixed(1)}" y2="${y(summary.threshold).toFixed(1)}" class="threshold"/>` +
+    `<text x="${CHART_WIDTH - CHART_PADDING}" y="${(y(summary.threshold) - 4).toFixed(1)}" text-anchor="end">threshold ${escapeHtml(formatMetric(summary.metric, summary.threshold))}</text>`;
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${escapeHtml(summary.label)} over time">` +
+    `<text x="${CHART_PADDING}" y="14">${escapeHtml(formatMetric(summary.metric, max))}</text>` +
+    `<text x="${CHART_PADDING}" y="${CHART_HEIGHT - 6}">${escapeHtml(formatMetric(summary.metric, min))}</text>` +
+    `${threshold}<polyline points="${line}"/>${dots}</svg>`;
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="muted">Nothing to show.</p>';
+  return `<table><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>` +
+    rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+    '</tbody></table>';
+}
+
+function trendsSection(data) {
+  if (data.history.length === 0) {
+    return '<section><h2>Tag health over time</h2><p class="muted">No snapshots yet; the cleanup command records one per run in tag-metrics.json.</p></section>';
+  }
+
+  const charts = data.metrics.map(summary => {
+    const tuning = summary.threshold === null ? '' :
+      ` · past the threshold in ${summary.triggered} of ${data.history.length} runs`;
+    return `<div class="chart"><h3>${escapeHtml(summary.label)}</h3>` +
+      `<p class="muted">${escapeHtml(formatMetric(summary.metric, summary.min))} – ${escapeHtml(formatMetric(summary.metric, summary.max))}, ` +
+      `median ${escapeHtml(formatMetric(summary.metric, summary.median))}${escapeHtml(tuning)}</p>${chart(summary, data.history)}</div>`;
+  }).join('');
+
+  return `<section><h2>Tag health over ${data.history.length} cleanup runs</h2>` +
+    '<p class="muted">Cleanup runs when any metric is past its threshold (growth and ratios at or above, entropy at or below). Red points are past it.</p>' +
+    `<div class="charts">${charts}</div></section>`;
+}
+
+function categoriesSection(data) {
+  const { categories, error } = data.bookmarks;
+  const total = Object.values(categories).reduce((sum, count) => sum + count, 0);
+  const bars = Object.entries(categories)
+    .sort(([, a], [, b]) => b - a)
+    .map(([category, count]) => `<tr><td>${escapeHtml(category)}</td><td class="num">${count}</td>` +
+      `<td class="bar"><span style="width:${(count / total * 100).toFixed(1)}%"></span> ${(count / total * 100).toFixed(1)}%</td></tr>`)
+    .join('');
+
+  const body = error
+    ? `<p class="muted">Could not fetch bookmark counts from Raindrop: ${escapeHtml(error)}</p>`
+    : total > 0
+      ? `<p class="muted">Bookmarks in each category's collection, as counted by Raindrop.</p><table><tbody>${bars}</tbody></table>`
+      : '<p class="muted">The category collections are empty.</p>';
+  return `<section><h2>Bookmarks per category</h2>${body}</section>`;
+}
+
+export function renderStatsHtml(data) {
+  const topTags = data.categories.map(({ category, tagCount, tags }) => [
+    category,
+    tagCount,
+    tags.map(t => `${t.tag} (${t.count})`).join(', ')
+  ]);
+  const noise = data.noise.map(({ tag, category, ageDays, similarTo }) => [tag, category, ageDays ?? '?', similarTo || '']);
+  const runs = data.runs.map(run => [run.runId, run.status, run.counts.classified, run.counts.moved, run.counts.reviewed, run.counts.failed]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Raindrop tag health</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1400px; padding: 0 1rem; color: #222; }
+  h1 { margin-bottom: 0.25rem; }
+  section { margin-top: 2rem; }
+  .muted { color: #777; font-size: 0.9rem; }
+  .cards { display: flex; gap: 1rem; flex-wrap: wrap; }
+  .card { border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1.25rem; }
+  .card b { display: block; font-size: 1.6rem; }
+  .charts { display: grid; grid-template-columns: repeat(auto-fill, minmax(420px, 1fr)); gap: 1rem; }
+  .chart h3 { margin: 0; font-size: 1rem; }
+  .chart p { margin: 0.25rem 0; }
+  svg { width: 100%; height: auto; background: #fafafa; border: 1px solid #eee; }
+  svg text { font-size: 10px; fill: #777; }
+  polyline { fill: none; stroke: #3b6fd4; stroke-width: 2; }
+  circle { fill: #3b6fd4; }
+  circle.past { fill: #d9432f; }
+  line.threshold { stroke: #d9432f; stroke-dasharray: 4 4; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.3rem 0.6rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  td.num { text-align: right; }
+  td.bar { width: 50%; }
+  td.bar span { display: inline-block; height: 0.8rem; background: #3b6fd4; vertical-align: middle; }
+</style>
+</head>
+<body>
+<h1>Raindrop tag health</h1>
+<p class="muted">Generated ${escapeHtml(data.generatedAt)}</p>
+
+<div class="cards">
+  <div class="card"><b>${data.registry.tags}</b>tags</div>
+  <div class="card"><b>${data.registry.singleUse}</b>used once</div>
+  <div class="card"><b>${data.registry.aliases}</b>aliases</div>
+  <div class="card"><b>${data.pendingFailures}</b>bookmarks to retry</div>
+</div>
+
+${trendsSection(data)}
+
+${categoriesSection(data)}
+
+<section><h2>Top tags per category</h2>
+${table(['Category', 'Tags', 'Most used'], topTags)}
+</section>
+
+<section><h2>Single-use tags most likely to be noise</h2>
+<p class="muted">Near-duplicates of a better used tag first, then the oldest.</p>
+${table(['Tag', 'Category', 'Days since first use', 'Similar to'], noise)}
+</section>
+
+<section><h2>Recent classification runs</h2>
+${table(['Run', 'Status', 'Classified', 'Moved', 'Review', 'Failed'], runs)}
+</section>
+</body>
+</html>
+`;
+}
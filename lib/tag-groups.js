@@ -0,0 +1,177 @@
+// Helpers for the cleanup command's tag grouping: sorting likely duplicates into the same model
+// batch, and turning the groups from all batches into one consistent variant → canonical mapping.
+
+// Minimum edit-distance similarity of the compacted spellings for two tags to share a batch
+const CLUSTER_SIMILARITY = 0.8;
+// Tags this short may be abbreviations ("js", "ml") of longer ones
+const MAX_ABBREVIATION_LENGTH = 4;
+
+// "Machine Learning" → "machinelearning"
+function compact(tag, tagManager) {
+  return tagManager.normalizeTag(tag).replace(/[^a-z0-9]/g, '');
+}
+
+// Crude stem: plural/verb endings and a "js" suffix dropped from words over four letters
+// ("reactjs" → "react", "tests" and "testing" → "test"); short words like the "js" in "react-js" stay
+function stem(tag, tagManager) {
+  return tagManager.normalizeTag(tag)
+    .split('-')
+    .map(word => word.length > 4 ? word.replace(/(?:js|ing|ed|es|s)$/, '') : word)
+    .join('');
+}
+
+function initials(tag, tagManager) {
+  const words = tagManager.normalizeTag(tag).split('-').filter(Boolean);
+  return words.length > 1 ? words.map(word => word[0]).join('') : null;
+}
+
+function isSubsequence(short, long) {
+  let i = 0;
+  for (const char of long) {
+    if (char === short[i]) i++;
+  }
+  return i === short.length;
+}
+
+// How likely two tags are to be duplicates, from 0 (unrelated) to 1 (same spelling once normalized)
+function closeness(a, b, tagManager) {
+  const [compactA, compactB] = [compact(a, tagManager), compact(b, tagManager)];
+  if (!compactA || !compactB) return 0;
+  if (compactA === compactB) return 1;
+  if (stem(a, tagManager) === stem(b, tagManager)) return 0.95;
+
+  const [short, long] = compactA.length <= compactB.length ? [a, b] : [b, a];
+  const [compactShort, compactLong] = [compact(short, tagManager), compact(long, tagManager)];
+  if (compactShort.length <= MAX_ABBREVIATION_LENGTH) {
+    if (initials(long, tagManager) === compactShort) return 0.9;
+    if (compactShort[0] === compactLong[0] && isSubsequence(compactShort, compactLong)) return 0.6;
+  }
+
+  const similarity = tagManager.levenshteinSimilarity(compactA, compactB);
+  return similarity >= CLUSTER_SIMILARITY ? similarity : 0;
+}
+
+// Split `tags` into batches of at most `batchSize` so that likely duplicates (same normalized
+// spelling, shared stem, abbreviation, similar spelling) end up in the same batch. Close pairs are
+// joined first, and a cluster never grows past one batch. Only tags starting with the same letter
+// are compared, which keeps this fast for large vocabularies.
+export function batchSimilarTags(tags, batchSize, tagManager) {
+  const byLetter = new Map();
+  for (const tag of tags) {
+    const letter = compact(tag, tagManager)[0] || '';
+    if (!byLetter.has(letter)) byLetter.set(letter, []);
+    byLetter.get(letter).push(tag);
+  }
+
+  const pairs = [];
+  for (const group of byLetter.values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const score = closeness(group[i], group[j], tagManager);
+        if (score > 0) pairs.push({ a: group[i], b: group[j], score });
+      }
+    }
+  }
+
+  // Union-find over the tags, capped at the batch size
+  const parent = new Map(tags.map(tag => [tag, tag]));
+  const size = new Map(tags.map(tag => [tag, 1]));
+  const root = (tag) => {
+    while (parent.get(tag) !== tag) tag = parent.get(tag);
+    return tag;
+  };
+
+  for (const { a, b } of pairs.sort((x, y) => y.score - x.score)) {
+    const [rootA, rootB] = [root(a), root(b)];
+    if (rootA === rootB || size.get(rootA) + size.get(rootB) > batchSize) continue;
+    parent.set(rootB, rootA);
+    size.set(rootA, size.get(rootA) + size.get(rootB));
+  }
+
+  const clusters = new Map();
+  for (const tag of tags) {
+    const key = root(tag);
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(tag);
+  }
+
+  // First fit, largest clusters first, so no cluster is split across batches
+  const batches = [];
+  for (const cluster of [...clusters.values()].sort((x, y) => y.length - x.length)) {
+    const batch = batches.find(b => b.length + cluster.length <= batchSize);
+    if (batch) batch.push(...cluster);
+    else batches.push([...cluster]);
+  }
+
+  return { batches, clusters: [...clusters.values()].filter(cluster => cluster.length > 1).length };
+}
+
+// Merge the groups returned for all batches into one set where every variant has exactly one
+// canonical tag. A variant claimed by several groups goes to the most used canonical (the first
+// group on a tie); chains (a → b, b → c) collapse to the end tag, and cycles are broken at their
+// most used tag. Variants the model made up (not in `tagUsage`) are dropped.
+export function reconcileGroups(groups, tagUsage) {
+  const usage = (tag) => tagUsage.get(tag) || 0;
+  const mapping = new Map();
+  const reasons = new Map();
+  let conflicts = 0;
+
+  for (const group of groups) {
+    for (const variant of group.variants) {
+      if (variant === group.canonical || !tagUsage.has(variant)) continue;
+
+      const current = mapping.get(variant);
+      if (current && current !== group.canonical) conflicts++;
+      if (!current || usage(group.canonical) > usage(current)) {
+        mapping.set(variant, group.canonical);
+        reasons.set(variant, group.reason);
+      }
+    }
+  }
+
+  // Break cycles so every chain has an end
+  for (const start of [...mapping.keys()]) {
+    const path = [start];
+    let tag = start;
+    while (mapping.has(tag)) {
+      tag = mapping.get(tag);
+      const loopStart = path.indexOf(tag);
+      if (loopStart !== -1) {
+        const loop = path.slice(loopStart);
+        const keep = loop.reduce((best, t) => usage(t) > usage(best) ? t : best);
+        mapping.delete(keep);
+        break;
+      }
+      path.push(tag);
+    }
+  }
+
+  let chains = 0;
+  const final = (tag) => {
+    while (mapping.has(tag)) tag = mapping.get(tag);
+    return tag;
+  };
+
+  const reconciled = new Map();
+  for (const [variant, target] of mapping) {
+    const canonical = final(target);
+    if (canonical !== target) chains++;
+
+    if (!reconciled.has(canonical)) {
+      reconciled.set(canonical, { canonical, variants: [canonical], reasons: new Set() });
+    }
+    const group = reconciled.get(canonical);
+    group.variants.push(variant);
+    if (reasons.get(variant)) group.reasons.add(reasons.get(variant));
+  }
+
+  return {
+    groups: [...reconciled.values()].map(({ canonical, variants, reasons }) => ({
+      canonical,
+      variants,
+      reason: [...reasons].join('; ')
+    })),
+    conflicts,
+    chains
+  };
+}
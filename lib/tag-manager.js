@@ -0,0 +1,391 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createTagMatcher } from './semantic-matcher.js';
+import { inCategory } from './config.js';
+import { logger } from './logger.js';
+
+// Registry versions kept in the backup directory
+const MAX_BACKUPS = 10;
+
+export class TagManager {
+  // Pass the loaded config to use its tagMatching settings (thresholds, optional semantic matcher).
+  // `cacheDir` moves the embedding cache elsewhere, e.g. to a writable directory on Vercel.
+  constructor({ readOnly = false, config = null, cacheDir = null } = {}) {
+    this.tagRegistryPath = 'tag-registry.json';
+    this.decisionLogPath = path.join(path.dirname(this.tagRegistryPath), 'tag-decisions.jsonl');
+    this.backupDir = path.join(path.dirname(this.tagRegistryPath), 'tag-registry-backups');
+    // Dry runs classify against the registry but must not record usage
+    this.readOnly = readOnly;
+    this.similarityThreshold = config?.tagMatching.levenshteinThreshold ?? 0.8;
+    this.matcher = config ? createTagMatcher(config, cacheDir ?? path.dirname(this.tagRegistryPath)) : null;
+    // Bookmarks are classified concurrently, so writes are queued to keep them from interleaving
+    this.pendingSave = Promise.resolve();
+    // What this run did to the vocabulary, for the run report
+    this.createdTags = new Set();
+    this.consolidations = [];
+    this.registry = {
+      tags: {},
+      aliases: {},
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  async loadTags() {
+    try {
+      const data = await fs.readFile(this.tagRegistryPath, 'utf8');
+      this.registry = JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info('📝 Creating new tag registry...');
+        await this.saveTags();
+      } else {
+        logger.warn(`⚠️ Error loading tag registry: ${error.message}`, { error });
+      }
+    }
+  }
+
+  // Written to a temporary file and renamed into place, so a crash can't leave a truncated registry.
+  // With `backup` (bulk changes like cleanup), the current file is first kept as a timestamped version.
+  async saveTags({ backup = false } = {}) {
+    // The embedding cache is only a cache, so it's kept even on dry runs
+    await this.matcher?.saveCache();
+    if (this.readOnly) return;
+
+    this.pendingSave = this.pendingSave.then(async () => {
+      try {
+        if (backup) await this.backupRegistry();
+        this.registry.lastUpdated = new Date().toISOString();
+        const tempPath = `${this.tagRegistryPath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.registry, null, 2));
+        await fs.rename(tempPath, this.tagRegistryPath);
+      } catch (error) {
+        logger.warn(`⚠️ Error saving tag registry: ${error.message}`, { error });
+      }
+    });
+
+    return this.pendingSave;
+  }
+
+  // Copy the registry file to the backup directory, dropping all but the newest MAX_BACKUPS copies
+  async backupRegistry() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = path.basename(this.tagRegistryPath, '.json');
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+    try {
+      await fs.copyFile(this.tagRegistryPath, path.join(this.backupDir, `${name}.${stamp}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const backups = (await fs.readdir(this.backupDir))
+      .filter(file => file.startsWith(`${name}.`) && file.endsWith('.json'))
+      .sort();
+    for (const old of backups.slice(0, -MAX_BACKUPS)) {
+      await fs.unlink(path.join(this.backupDir, old));
+    }
+    logger.info(`🗄️  Backed up the tag registry to ${this.backupDir}`);
+  }
+
+  normalizeTag(tag) {
+    return tag.toLowerCase()
+      .replace(/[^a-z0-9\s&-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 50);
+  }
+
+  levenshteinDistance(str1, str2) {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
+    
+    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+    
+    for (let j = 1; j <= str2.length; j++) {
+      for (let i = 1; i <= str1.length; i++) {
+        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1,
+          matrix[j - 1][i] + 1,
+          matrix[j - 1][i - 1] + cost
+        );
+      }
+    }
+    
+    return matrix[str2.length][str1.length];
+  }
+
+  levenshteinSimilarity(str1, str2) {
+    const maxLen = Math.max(str1.length, str2.length);
+    return maxLen ? 1 - (this.levenshteinDistance(str1, str2) / maxLen) : 1;
+  }
+
+  findSimilarTags(tag, threshold = this.similarityThreshold) {
+    const normalizedTag = this.normalizeTag(tag);
+    const similarTags = [];
+    
+    for (const existingTag in this.registry.tags) {
+      const similarity = this.levenshteinSimilarity(normalizedTag, existingTag);
+      
+      if (similarity >= threshold && normalizedTag !== existingTag) {
+        similarTags.push({ tag: existingTag, similarity });
+      }
+    }
+    
+    return similarTags.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  addTag(tag, category) {
+    const normalizedTag = this.normalizeTag(tag);
+    if (!normalizedTag) return normalizedTag;
+    
+    if (this.registry.tags[normalizedTag]) {
+      this.registry.tags[normalizedTag].usageCount++;
+    } else {
+      this.registry.tags[normalizedTag] = {
+        category,
+        usageCount: 1,
+        firstUsed: new Date().toISOString()
+      };
+      this.createdTags.add(normalizedTag);
+    }
+    
+    return normalizedTag;
+  }
+
+  // Normalized canonical tag for an alias (matched as written or normalized), or null
+  resolveAlias(tag) {
+    const aliases = this.registry.aliases || {};
+    const normalizedTag = this.normalizeTag(tag);
+    let canonical = aliases[tag] || aliases[normalizedTag];
+
+    // Aliases written by the cleanup command keep the AI's original spelling ("AI models")
+    if (!canonical) {
+      const match = Object.keys(aliases).find(alias => this.normalizeTag(alias) === normalizedTag);
+      canonical = match && aliases[match];
+    }
+
+    return canonical ? this.normalizeTag(canonical) : null;
+  }
+
+  recordVariant(canonical, variant) {
+    const entry = this.registry.tags[canonical];
+    const normalizedVariant = this.normalizeTag(variant);
+    if (!entry || normalizedVariant === canonical) return;
+
+    entry.variants = entry.variants || [];
+    if (!entry.variants.some(v => this.normalizeTag(v) === normalizedVariant)) {
+      entry.variants.push(variant);
+    }
+  }
+
+  // Map `variant` to `canonical` from now on. If `variant` was a tag in its own right,
+  // its usage is folded into the canonical tag.
+  addAlias(variant, canonical) {
+    const normalizedVariant = this.normalizeTag(variant);
+    // Point at the end of any existing alias chain
+    const target = this.resolveAlias(canonical) || this.normalizeTag(canonical);
+
+    if (!normalizedVariant || !target) {
+      throw new Error('Both the alias and the canonical tag must contain letters or digits');
+    }
+    if (normalizedVariant === target) {
+      throw new Error(`"${variant}" and "${canonical}" are the same tag`);
+    }
+
+    this.registry.aliases = this.registry.aliases || {};
+    this.registry.aliases[normalizedVariant] = target;
+
+    if (!this.registry.tags[target]) {
+      this.registry.tags[target] = {
+        category: this.registry.tags[normalizedVariant]?.category || 'general',
+        usageCount: 0,
+        firstUsed: new Date().toISOString()
+      };
+    }
+
+    const merged = this.registry.tags[normalizedVariant];
+    if (merged) {
+      this.registry.tags[target].usageCount += merged.usageCount;
+      // The canonical tag has been in use since the earliest of the two
+      if (merged.firstUsed && merged.firstUsed < this.registry.tags[target].firstUsed) {
+        this.registry.tags[target].firstUsed = merged.firstUsed;
+      }
+      (merged.variants || []).forEach(v => this.recordVariant(target, v));
+      delete this.registry.tags[normalizedVariant];
+    }
+
+    // Aliases that pointed at the variant now point at the canonical tag
+    for (const [alias, aliasTarget] of Object.entries(this.registry.aliases)) {
+      if (aliasTarget === normalizedVariant) this.registry.aliases[alias] = target;
+    }
+
+    this.recordVariant(target, variant);
+    return target;
+  }
+
+  // Stop mapping `variant` (as written or normalized); returns false if it wasn't an alias
+  removeAlias(variant) {
+    const aliases = this.registry.aliases || {};
+    const normalizedVariant = this.normalizeTag(variant);
+    const keys = Object.keys(aliases).filter(alias =>
+      alias === variant || this.normalizeTag(alias) === normalizedVariant
+    );
+
+    for (const key of keys) {
+      const entry = this.registry.tags[aliases[key]];
+      if (entry?.variants) {
+        entry.variants = entry.variants.filter(v => v !== key && this.normalizeTag(v) !== normalizedVariant);
+      }
+      delete aliases[key];
+    }
+
+    return keys.length > 0;
+  }
+
+  // Consolidations turned down in cleanup review; either direction of a pair counts
+  isRejectedMerge(tag, other) {
+    const pair = [this.normalizeTag(tag), this.normalizeTag(other)];
+    return (this.registry.rejectedMerges || []).some(({ tags }) =>
+      tags.includes(pair[0]) && tags.includes(pair[1])
+    );
+  }
+
+  // Remember that `variant` must not be merged into `canonical`, so it is never proposed again
+  rejectMerge(variant, canonical) {
+    if (this.isRejectedMerge(variant, canonical)) return;
+
+    this.registry.rejectedMerges = this.registry.rejectedMerges || [];
+    this.registry.rejectedMerges.push({
+      tags: [this.normalizeTag(variant), this.normalizeTag(canonical)],
+      rejectedAt: new Date().toISOString()
+    });
+  }
+
+  // Existing tag to consolidate `normalizedTag` into, or null. With a semantic matcher the
+  // embedding similarity decides; the decision is logged with both scores either way.
+  async findConsolidationTarget(tag, normalizedTag) {
+    if (!this.matcher) {
+      return this.findSimilarTags(normalizedTag).find(match => !this.isRejectedMerge(normalizedTag, match.tag))?.tag ?? null;
+    }
+
+    const levenshtein = this.findSimilarTags(normalizedTag, 0)[0] ?? null;
+    const semantic = await this.matcher.bestMatch(normalizedTag, Object.keys(this.registry.tags));
+    const target = semantic && semantic.similarity >= this.matcher.threshold &&
+      !this.isRejectedMerge(normalizedTag, semantic.tag) ? semantic.tag : null;
+
+    const format = (match) => match ? `${match.tag} ${match.similarity.toFixed(2)}` : 'none';
+    logger.info(`🧭 "${tag}": semantic ${format(semantic)}, edit distance ${format(levenshtein)} → ${target ? `merge into "${target}"` : 'new tag'}`, {
+      tag,
+      semantic,
+      levenshtein,
+      target
+    });
+
+    await this.logDecision({
+      tag,
+      normalizedTag,
+      semantic,
+      levenshtein,
+      // Both scores for the chosen tag, not just each method's own best
+      target,
+      targetScores: target ? {
+        semantic: semantic.similarity,
+        levenshtein: this.levenshteinSimilarity(normalizedTag, target)
+      } : null
+    });
+
+    return target;
+  }
+
+  // Dry runs and the read-only API don't write the decision log either
+  async logDecision(decision) {
+    if (this.readOnly) return;
+
+    try {
+      const entry = { timestamp: new Date().toISOString(), ...decision };
+      await fs.appendFile(this.decisionLogPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.warn(`⚠️ Error logging tag decision: ${error.message}`, { error });
+    }
+  }
+
+  async processAITags(aiTags, category) {
+    const processedTags = [];
+    const use = (tag) => {
+      if (!processedTags.includes(tag)) {
+        processedTags.push(this.addTag(tag, category));
+      }
+    };
+    
+    for (const tag of aiTags) {
+      const normalizedTag = this.normalizeTag(tag);
+      if (!normalizedTag) continue;
+      
+      // Known aliases win over everything else, so cleaned-up variants never come back
+      const aliasTarget = this.resolveAlias(tag);
+      if (aliasTarget) {
+        if (aliasTarget !== normalizedTag) {
+          logger.info(`🏷️  Alias "${tag}" → "${aliasTarget}"`, { tag, target: aliasTarget });
+          this.consolidations.push({ from: tag, to: aliasTarget, reason: 'alias' });
+        }
+        use(aliasTarget);
+        this.recordVariant(aliasTarget, tag);
+        continue;
+      }
+      
+      // Check if tag already exists
+      if (this.registry.tags[normalizedTag]) {
+        use(normalizedTag);
+        continue;
+      }
+      
+      // Check for similar tags
+      const bestMatch = await this.findConsolidationTarget(tag, normalizedTag);
+      if (bestMatch) {
+        logger.info(`🔀 Consolidating "${tag}" → "${bestMatch}"`, { tag, target: bestMatch });
+        this.consolidations.push({ from: tag, to: bestMatch, reason: this.matcher ? 'semantic' : 'similar' });
+        use(bestMatch);
+        // Only recorded as a variant: fuzzy matches can misfire, so aliases come from
+        // manage-aliases.js and approved cleanup merges only
+        this.recordVariant(bestMatch, tag);
+      } else {
+        use(normalizedTag);
+      }
+    }
+    
+    return processedTags.filter(Boolean);
+  }
+
+  getPopularTags(limit = 10) {
+    return Object.entries(this.registry.tags)
+      .sort(([,a], [,b]) => b.usageCount - a.usageCount)
+      .slice(0, limit)
+      .map(([tag, data]) => ({ tag, count: data.usageCount }));
+  }
+
+  // A category's tags include those of its subcategories ("Category / Subcategory")
+  getPopularTagsByCategory(category, limit = 10) {
+    return Object.entries(this.registry.tags)
+      .filter(([, data]) => inCategory(data.category, category))
+      .sort(([,a], [,b]) => b.usageCount - a.usageCount)
+      .slice(0, limit)
+      .map(([tag, data]) => ({ tag, count: data.usageCount }));
+  }
+
+  getCombinedTagContext(category, globalLimit = 8, categoryLimit = 7) {
+    const globalTags = this.getPopularTags(globalLimit);
+    const categoryTags = this.getPopularTagsByCategory(category, categoryLimit);
+    
+    // Remove duplicates, prefer category-specific tags
+    const categoryTagNames = new Set(categoryTags.map(t => t.tag));
+    const uniqueGlobalTags = globalTags.filter(t => !categoryTagNames.has(t.tag));
+    
+    return {
+      categoryTags,
+      globalTags: uniqueGlobalTags,
+      combined: [...categoryTags, ...uniqueGlobalTags]
+    };
+  }
+}
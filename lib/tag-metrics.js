@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+
+// History of the tag health snapshots taken by the cleanup command, one entry per run
+export const METRICS_PATH = 'tag-metrics.json';
+
+// Cleanup runs when any metric is past its threshold: growth and ratios at or above, entropy at or below
+export const METRIC_THRESHOLDS = {
+  growthRate: 0.1,
+  newTagRatio: 0.15,
+  singleUseRatio: 0.3,
+  entropy: 3.0,
+};
+
+const LOW_IS_BAD = ['entropy'];
+
+export const METRIC_LABELS = {
+  uniqueTagCount: 'Unique tags',
+  totalTagUsage: 'Tag usage',
+  growthRate: 'Growth rate',
+  newTagRatio: 'New-tag ratio',
+  singleUseRatio: 'Single-use ratio',
+  entropy: 'Entropy'
+};
+const RATIOS = ['growthRate', 'newTagRatio', 'singleUseRatio'];
+
+export function formatMetric(metric, value) {
+  if (typeof value !== 'number') return 'n/a';
+  if (RATIOS.includes(metric)) return `${(value * 100).toFixed(1)}%`;
+  return metric === 'entropy' ? value.toFixed(2) : String(value);
+}
+
+// Names of the metrics in `entry` that are past their threshold
+export function metricsPastThreshold(entry, thresholds = METRIC_THRESHOLDS) {
+  return Object.entries(thresholds)
+    .filter(([metric, threshold]) => typeof entry[metric] === 'number' &&
+      (LOW_IS_BAD.includes(metric) ? entry[metric] <= threshold : entry[metric] >= threshold))
+    .map(([metric]) => metric);
+}
+
+export async function readMetricsHistory() {
+  try {
+    const history = JSON.parse(await fs.readFile(METRICS_PATH, 'utf8'));
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
@@ -0,0 +1,53 @@
+// Token usage of every LLM call in this process, per model, for the run report. Providers record
+// into it directly, so separate instances (e.g. an embedding provider) all add up.
+const usageByModel = new Map();
+
+// USD per million tokens. Models not listed here (or in the config's `pricing`) get no cost estimate.
+export const DEFAULT_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+export function recordUsage(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const entry = usageByModel.get(model) || { requests: 0, promptTokens: 0, completionTokens: 0 };
+  entry.requests++;
+  entry.promptTokens += promptTokens;
+  entry.completionTokens += completionTokens;
+  usageByModel.set(model, entry);
+}
+
+// Start counting from zero, e.g. per request in a long-lived serverless instance
+export function resetUsage() {
+  usageByModel.clear();
+}
+
+function estimateCost(model, { promptTokens, completionTokens }, pricing) {
+  const price = pricing[model];
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// Totals plus a per-model breakdown. estimatedCostUsd is null if any model has no known price.
+export function usageSummary(pricing = {}) {
+  const prices = { ...DEFAULT_PRICING, ...pricing };
+  const models = {};
+  const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCostUsd: 0 };
+
+  for (const [model, entry] of usageByModel) {
+    const cost = estimateCost(model, entry, prices);
+    models[model] = { ...entry, estimatedCostUsd: cost };
+
+    totals.requests += entry.requests;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.estimatedCostUsd = cost === null || totals.estimatedCostUsd === null ? null : totals.estimatedCostUsd + cost;
+  }
+  totals.totalTokens = totals.promptTokens + totals.completionTokens;
+
+  return { ...totals, models };
+}
@@ -0,0 +1,63 @@
+import { TagManager } from './lib/tag-manager.js';
+import { UsageError, runScript } from './lib/cli-args.js';
+
+const USAGE = `Usage:
+  node manage-aliases.js list [canonical]         show aliases, optionally only for one tag
+  node manage-aliases.js add <alias> <canonical>  map a variant to a canonical tag
+  node manage-aliases.js remove <alias>           stop mapping a variant`;
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  const tagManager = new TagManager();
+  await tagManager.loadTags();
+
+  switch (command) {
+    case 'list': {
+      const filter = args[0] ? tagManager.normalizeTag(args[0]) : null;
+      const entries = Object.entries(tagManager.registry.aliases || {})
+        .filter(([, canonical]) => !filter || tagManager.normalizeTag(canonical) === filter)
+        .sort(([a], [b]) => a.localeCompare(b));
+
+      if (!entries.length) {
+        console.log('📭 No aliases found.');
+        return;
+      }
+      entries.forEach(([alias, canonical]) => console.log(`   ${alias} → ${canonical}`));
+      console.log(`\n🏷️  ${entries.length} aliases`);
+      return;
+    }
+
+    case 'add': {
+      const [alias, canonical] = args;
+      if (!alias || !canonical) throw new UsageError('Missing arguments');
+
+      const target = tagManager.addAlias(alias, canonical);
+      await tagManager.saveTags({ backup: true });
+      console.log(`✅ "${alias}" now resolves to "${target}"`);
+      return;
+    }
+
+    case 'remove': {
+      const [alias] = args;
+      if (!alias) throw new UsageError('Missing arguments');
+
+      if (!tagManager.removeAlias(alias)) {
+        console.log(`ℹ️ "${alias}" is not an alias`);
+        return;
+      }
+      await tagManager.saveTags({ backup: true });
+      console.log(`🗑️  Removed alias "${alias}"`);
+      return;
+    }
+
+    case undefined:
+      console.log(USAGE);
+      return;
+
+    default:
+      throw new UsageError(`Unknown command: ${command}`);
+  }
+}
+
+runScript(main, USAGE);
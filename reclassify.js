@@ -0,0 +1,187 @@
+import 'dotenv/config';
+import { TagManager } from './lib/tag-manager.js';
+import { Journal } from './lib/journal.js';
+import {
+  loadConfig,
+  categoryPath,
+  collectionFor,
+  categoryForCollection,
+  resolveCollection,
+  allCollections
+} from './lib/config.js';
+import { createProvider } from './lib/providers/index.js';
+import { configureSchedulers } from './lib/scheduler.js';
+import { fetchCollectionBookmarks, processBookmarks } from './lib/classifier.js';
+import { applyBookmarkUpdates } from './lib/bulk-update.js';
+import { EXIT_FAILURES, UsageError, requireValue, positiveInteger, runScript } from './lib/cli-args.js';
+
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+const USAGE = 'Usage: node reclassify.js [--collection <name|id>] [--since <date>] [--until <date>] [--tag <tag>] [--min-confidence <n>] [--limit <n>] [--batch-size <n>] [--dry-run]';
+
+function parseDate(value, flag) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new UsageError(`${flag} must be a date like 2024-01-31`);
+  return time;
+}
+
+// Parse command-line flags (--collection <name|id>, --since/--until <date>, --tag <tag>,
+// --min-confidence <n>, --limit <n>, --batch-size <n>, --dry-run)
+function parseArgs(argv) {
+  const options = {
+    collections: [],
+    since: null,
+    until: null,
+    tag: null,
+    minConfidence: DEFAULT_MIN_CONFIDENCE,
+    limit: Infinity,
+    batchSize: null,
+    dryRun: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--collection') {
+      options.collections.push(...requireValue(argv, ++i, arg).split(',').map(c => c.trim()).filter(Boolean));
+    } else if (arg === '--since') {
+      options.since = parseDate(requireValue(argv, ++i, arg), arg);
+    } else if (arg === '--until') {
+      options.until = parseDate(requireValue(argv, ++i, arg), arg);
+    } else if (arg === '--tag') {
+      options.tag = requireValue(argv, ++i, arg).toLowerCase();
+    } else if (arg === '--min-confidence') {
+      options.minConfidence = parseFloat(requireValue(argv, ++i, arg));
+      if (Number.isNaN(options.minConfidence) || options.minConfidence < 0 || options.minConfidence > 1) {
+        throw new UsageError('--min-confidence must be a number between 0 and 1');
+      }
+    } else if (arg === '--limit') {
+      options.limit = positiveInteger(requireValue(argv, ++i, arg), arg);
+    } else if (arg === '--batch-size') {
+      options.batchSize = positiveInteger(requireValue(argv, ++i, arg), arg);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+// Collection IDs to scan: the given category names or IDs, or every configured category's and
+// subcategory's collection
+function resolveCollections(names, config) {
+  if (!names.length) return [...new Set(Object.values(allCollections(config)))];
+  return names.map(name => resolveCollection(config, name));
+}
+
+// "Category / Subcategory" label for a collection, or its ID for collections outside the config
+function collectionLabel(config, collectionId) {
+  const found = categoryForCollection(config, collectionId);
+  return found ? categoryPath(found.category, found.subcategory) : `collection ${collectionId}`;
+}
+
+function matchesFilters(bookmark, options) {
+  const created = Date.parse(bookmark.created);
+  if (options.since !== null && !(created >= options.since)) return false;
+  if (options.until !== null && !(created <= options.until)) return false;
+  if (options.tag && !(bookmark.tags || []).some(tag => tag.toLowerCase() === options.tag)) return false;
+  return true;
+}
+
+function printMoveSummary(moves, counts) {
+  const pairs = new Map();
+  for (const item of moves) {
+    const key = `${item.fromCategory} → ${item.toCategory}`;
+    pairs.set(key, (pairs.get(key) || 0) + 1);
+  }
+
+  console.log('\n📊 Moves by category:');
+  if (pairs.size === 0) {
+    console.log('   (none)');
+  }
+  [...pairs]
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([pair, count]) => console.log(`   ${pair}: ${count}`));
+
+  console.log(`\n   ${moves.length} to move, ${counts.unchanged} already in the right category, ${counts.uncertain} below the confidence bar or needing review`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = await loadConfig();
+  configureSchedulers(config.scheduler);
+
+  const collectionIds = resolveCollections(options.collections, config);
+
+  let bookmarks = [];
+  for (const collectionId of collectionIds) {
+    console.log(`📥 Fetching bookmarks from ${collectionLabel(config, collectionId)}...`);
+    bookmarks.push(...await fetchCollectionBookmarks(collectionId, bookmark => matchesFilters(bookmark, options)));
+  }
+  bookmarks = bookmarks.slice(0, options.limit);
+
+  if (!bookmarks.length) {
+    console.log('📭 No bookmarks match those filters.');
+    return;
+  }
+
+  console.log(`Found ${bookmarks.length} bookmarks to reclassify.\n`);
+  if (options.dryRun) {
+    console.log('🧪 Dry run: no bookmarks will be moved\n');
+  }
+
+  // Reclassifying only moves bookmarks; their tags and the tag registry are left as they are
+  const tagManager = new TagManager({ readOnly: true, config });
+  await tagManager.loadTags();
+
+  const { items, errors } = await processBookmarks(bookmarks, {
+    config,
+    provider: createProvider(config),
+    tagManager,
+    dryRun: true,
+    batchSize: options.batchSize ?? config.batchSize
+  });
+
+  const counts = { unchanged: 0, uncertain: 0 };
+  const moves = [];
+
+  for (const item of items) {
+    // Compared by collection, so a move between subcategories of the same category counts too
+    const fromCategory = collectionLabel(config, item.previousCollectionId);
+    const toCategory = categoryPath(item.category, item.subcategory);
+    const toCollectionId = collectionFor(config, item.category, item.subcategory);
+
+    if (toCollectionId === item.previousCollectionId) {
+      counts.unchanged++;
+    } else if (item.review || item.confidence < options.minConfidence) {
+      counts.uncertain++;
+      console.log(`🤔 Keeping "${item.title}" in ${fromCategory} (model suggests ${toCategory}${item.confidence !== null ? ` at ${item.confidence.toFixed(2)}` : ''})`);
+    } else {
+      moves.push({
+        ...item,
+        fromCategory,
+        toCategory,
+        collectionId: toCollectionId,
+        tags: item.previousTags
+      });
+    }
+  }
+
+  printMoveSummary(moves, counts);
+
+  // Bookmarks the model couldn't classify count as failures, like those that fail to move
+  if (options.dryRun || moves.length === 0) return errors.length > 0 ? EXIT_FAILURES : 0;
+
+  const journal = new Journal('reclassify');
+  console.log(`\n🧾 Journaling changes to ${journal.path} (run ID: ${journal.runId})`);
+
+  const { moved, failed } = await applyBookmarkUpdates(moves, {
+    journal,
+    concurrency: config.scheduler.concurrency
+  });
+
+  console.log(`✨ Reclassified ${moved} bookmarks (${failed} failed)`);
+  return failed + errors.length > 0 ? EXIT_FAILURES : 0;
+}
+
+runScript(main, USAGE);
@@ -0,0 +1,125 @@
+import 'dotenv/config';
+import { fetchRaindrop, updateRaindrop } from './lib/raindrop.js';
+import { Journal, readJournal, listJournals, snapshotBookmark } from './lib/journal.js';
+import { mapWithConcurrency } from './lib/scheduler.js';
+import { EXIT_FAILURES, UsageError, requireValue, runScript } from './lib/cli-args.js';
+
+const CONCURRENCY = 4;
+const USAGE = 'Usage: node rollback.js <runId> [--ids 123,456] [--force]';
+
+// Parse command-line flags (<runId>, --ids 1,2,3, --list, --force)
+function parseArgs(argv) {
+  const options = { runId: null, ids: null, list: false, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--list') {
+      options.list = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--ids') {
+      options.ids = new Set(requireValue(argv, ++i, arg).split(',').map(id => Number(id.trim())));
+      if ([...options.ids].some(id => !Number.isInteger(id))) {
+        throw new UsageError('--ids must be a comma-separated list of bookmark IDs');
+      }
+    } else if (!arg.startsWith('--') && !options.runId) {
+      options.runId = arg;
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function sameState(a, b) {
+  return a.collectionId === b.collectionId &&
+    JSON.stringify([...a.tags].sort()) === JSON.stringify([...b.tags].sort());
+}
+
+// Reduce journal entries to one restore target per bookmark: the state before its first change
+function buildRestorePlan(entries, ids) {
+  const plan = new Map();
+
+  for (const entry of entries) {
+    if (ids && !ids.has(entry.bookmarkId)) continue;
+
+    const existing = plan.get(entry.bookmarkId);
+    if (existing) {
+      existing.after = entry.after;
+    } else {
+      plan.set(entry.bookmarkId, { ...entry });
+    }
+  }
+
+  return [...plan.values()];
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.list || !options.runId) {
+    const runs = await listJournals();
+    if (!runs.length) {
+      console.log('📭 No journaled runs found.');
+      return;
+    }
+    console.log('🧾 Journaled runs:');
+    runs.forEach(runId => console.log(`   ${runId}`));
+    console.log(`\n${USAGE}`);
+    return;
+  }
+
+  const entries = await readJournal(options.runId);
+  const restorePlan = buildRestorePlan(entries, options.ids);
+
+  if (!restorePlan.length) {
+    console.log(`📭 Nothing to roll back for run ${options.runId}.`);
+    return;
+  }
+
+  console.log(`↩️  Rolling back ${restorePlan.length} bookmarks from run ${options.runId}...\n`);
+
+  // Rollbacks are journaled too, so they can themselves be undone
+  const journal = new Journal('rollback');
+  let restored = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  await mapWithConcurrency(restorePlan, CONCURRENCY, async (entry) => {
+    const current = await fetchRaindrop(entry.bookmarkId);
+    if (!current) {
+      console.error(`❌ Could not fetch "${entry.title}" (${entry.bookmarkId}), skipping`);
+      failed++;
+      return;
+    }
+
+    // Don't clobber changes made after this run unless asked to
+    const currentState = snapshotBookmark(current);
+    if (!options.force && !sameState(currentState, entry.after)) {
+      console.log(`⏭️  "${entry.title}" changed since this run, skipping (use --force to override)`);
+      skipped++;
+      return;
+    }
+
+    const resp = await updateRaindrop(entry.bookmarkId, {
+      collection: { $id: entry.before.collectionId },
+      tags: entry.before.tags,
+    });
+
+    if (resp.ok) {
+      await journal.record(current, currentState, entry.before);
+      console.log(`✅ Restored "${entry.title}" → collection ${entry.before.collectionId} [${entry.before.tags.join(", ")}]`);
+      restored++;
+    } else {
+      console.error(`❌ Failed to restore "${entry.title}"`, await resp.text());
+      failed++;
+    }
+  });
+
+  console.log(`\n✨ Rollback complete: ${restored} restored, ${skipped} skipped, ${failed} failed`);
+  console.log(`🧾 Rollback journaled as run ${journal.runId}`);
+  return failed > 0 ? EXIT_FAILURES : 0;
+}
+
+runScript(main, USAGE);
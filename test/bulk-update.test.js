@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from './helpers/stub-server.js';
+import { configureLogger } from '../lib/logger.js';
+
+let server;
+let applyBookmarkUpdates;
+let rejectBulk = false;
+
+before(async () => {
+  server = await startStubServer(({ method, url, body }) => {
+    if (method === 'PUT' && url.startsWith('/raindrops/')) {
+      return rejectBulk
+        ? { body: { result: true, modified: 0 } }
+        : { body: { result: true, modified: body.ids.length } };
+    }
+    return { body: { result: true, item: {} } };
+  });
+  // raindrop.js reads the API URL when it's first imported
+  process.env.RAINDROP_API_URL = server.url;
+  ({ applyBookmarkUpdates } = await import('../lib/bulk-update.js'));
+  configureLogger({ level: 'error' });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+  rejectBulk = false;
+});
+
+function item(id, { from = -1, to = 10, tags = ['news'], previousTags = [] } = {}) {
+  return { id, title: `Bookmark ${id}`, category: 'News', collectionId: to, tags, previousCollectionId: from, previousTags };
+}
+
+const writes = () => server.requests.filter(request => request.method === 'PUT');
+
+test('bookmarks with the same move and new tags share one bulk call', async () => {
+  const items = [item(1), item(2), item(3)];
+  const { moved, failed } = await applyBookmarkUpdates(items);
+
+  assert.equal(moved, 3);
+  assert.equal(failed, 0);
+  assert.deepEqual(writes().map(({ url, body }) => ({ url, body })), [
+    { url: '/raindrops/-1', body: { ids: [1, 2, 3], tags: ['news'], collection: { $id: 10 } } }
+  ]);
+});
+
+test('a bookmark alone in its group gets a single PUT', async () => {
+  const items = [
+    item(1, { tags: ['news', 'ai'] }),
+    item(2, { tags: ['news', 'ai'] }),
+    item(3, { tags: ['news'] }),
+    item(4, { to: 20, tags: ['ai'] })
+  ];
+  await applyBookmarkUpdates(items);
+
+  const requests = writes().map(({ url }) => url).sort();
+  assert.deepEqual(requests, ['/raindrop/3', '/raindrop/4', '/raindrops/-1']);
+  assert.deepEqual(writes().find(({ url }) => url === '/raindrop/4').body, { collection: { $id: 20 }, tags: ['ai'] });
+});
+
+test('never takes more requests than updating each bookmark individually', async () => {
+  const items = [
+    item(1, { tags: ['a', 'shared'] }),
+    item(2, { tags: ['b', 'shared'] }),
+    item(3, { to: 20, tags: ['shared'] }),
+    item(4, { to: 20, tags: ['c', 'shared'] }),
+    item(5, { tags: ['a', 'shared'] }),
+    item(6, { from: 10, to: 20, tags: ['old', 'new'], previousTags: ['old'] }),
+    item(7, { from: 10, to: 20, tags: ['new'], previousTags: ['gone'] })
+  ];
+  const { moved } = await applyBookmarkUpdates(items);
+
+  assert.equal(moved, items.length);
+  assert.ok(writes().length <= items.length, `${writes().length} requests for ${items.length} bookmarks`);
+  assert.equal(writes().length, 6);
+});
+
+test('bookmarks already in place with their tags cost no request', async () => {
+  const items = [item(1, { from: 10, tags: ['news'], previousTags: ['news'] }), item(2, { from: 10, tags: ['news'], previousTags: ['news'] })];
+  const { moved } = await applyBookmarkUpdates(items);
+
+  assert.equal(moved, 2);
+  assert.equal(writes().length, 0);
+});
+
+test('bookmarks losing a tag are updated individually with the full tag list', async () => {
+  const items = [item(1, { tags: ['new'], previousTags: ['old'] }), item(2, { tags: ['new'], previousTags: ['old'] })];
+  await applyBookmarkUpdates(items);
+
+  assert.deepEqual(writes().map(({ url }) => url).sort(), ['/raindrop/1', '/raindrop/2']);
+  assert.deepEqual(writes()[0].body.tags, ['new']);
+});
+
+test('a rejected bulk call is retried one bookmark at a time', async () => {
+  rejectBulk = true;
+  const { moved } = await applyBookmarkUpdates([item(1), item(2)]);
+
+  assert.equal(moved, 2);
+  const [bulk, ...retries] = writes().map(({ url }) => url);
+  assert.equal(bulk, '/raindrops/-1');
+  assert.deepEqual(retries.sort(), ['/raindrop/1', '/raindrop/2']);
+});
+
+test('items without a collection fail without a request', async () => {
+  const items = [{ ...item(1), collectionId: null }];
+  const { moved, failed } = await applyBookmarkUpdates(items);
+
+  assert.equal(moved, 0);
+  assert.equal(failed, 1);
+  assert.equal(items[0].status, 'failed');
+  assert.equal(writes().length, 0);
+});
@@ -0,0 +1,131 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { startStubServer } from './helpers/stub-server.js';
+import { configureLogger } from '../lib/logger.js';
+import { FakeProvider } from '../lib/providers/fake.js';
+
+const FIXTURES = new URL('../fixtures/fake-llm.json', import.meta.url).pathname;
+const BATCH_FIXTURES = new URL('./fixtures/fake-llm-batch.json', import.meta.url).pathname;
+
+const bookmarks = [
+  { _id: 1, title: 'A CLI tool', excerpt: 'Command line tool', link: 'https://github.com/example/tool', collection: { $id: -1 }, tags: [] },
+  { _id: 2, title: 'Another CLI tool', excerpt: 'Command line tool', link: 'https://github.com/example/other', collection: { $id: -1 }, tags: [] },
+  { _id: 3, title: 'A funny video', excerpt: 'Cats', link: 'https://www.youtube.com/watch?v=abc', collection: { $id: -1 }, tags: ['cats'] },
+  { _id: 4, title: 'Something else', excerpt: 'Hard to say', link: 'https://example.com/post', collection: { $id: -1 }, tags: [] }
+];
+
+let server;
+let config;
+let fetchAllUnsortedBookmarks, processBookmarks, TagManager;
+
+before(async () => {
+  server = await startStubServer(({ method, url, body }) => {
+    if (method === 'GET' && url.startsWith('/raindrops/-1')) {
+      return { body: { items: url.includes('page=0') ? bookmarks : [] } };
+    }
+    if (method === 'PUT' && url.startsWith('/raindrops/')) {
+      return { body: { result: true, modified: body.ids.length } };
+    }
+    return { body: { result: true, item: {} } };
+  });
+  // raindrop.js reads the API URL when it's first imported
+  process.env.RAINDROP_API_URL = server.url;
+  ({ fetchAllUnsortedBookmarks, processBookmarks } = await import('../lib/classifier.js'));
+  ({ TagManager } = await import('../lib/tag-manager.js'));
+  configureLogger({ level: 'error' });
+
+  // The tag registry, decision log and rules file are read from the working directory
+  process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'classifier-test-')));
+  const { loadConfig } = await import('../lib/config.js');
+  await fs.writeFile('classifier.config.json', JSON.stringify({
+    provider: { type: 'fake', fixtures: FIXTURES },
+    categories: [
+      {
+        name: 'AI & Technology',
+        collectionId: 10,
+        description: 'Software and programming',
+        subcategories: [{ name: 'Developer Tools', collectionId: 11, description: 'Tools for programmers' }]
+      },
+      { name: 'Entertainment & Media', collectionId: 20, description: 'Film, TV and video' },
+      { name: 'Others', collectionId: 30, description: 'Everything else' }
+    ]
+  }));
+  config = await loadConfig('classifier.config.json');
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+});
+
+async function run({ provider = new FakeProvider({ fixtures: FIXTURES }), ...options } = {}) {
+  const tagManager = new TagManager({ config });
+  await tagManager.loadTags();
+  const summary = await processBookmarks(await fetchAllUnsortedBookmarks(), { config, provider, tagManager, ...options });
+  const items = Object.fromEntries(summary.items.map(item => [item.id, item]));
+  return { summary, items, provider };
+}
+
+const writes = () => server.requests.filter(request => request.method === 'PUT');
+
+test('classifies Unsorted bookmarks with the fake provider and files them in Raindrop', async () => {
+  const { summary, items } = await run({ batchSize: 1 });
+
+  assert.equal(summary.classified, 4);
+  assert.equal(summary.moved, 3);
+  assert.equal(summary.reviewed, 1);
+  assert.equal(summary.failed, 0);
+
+  assert.equal(items[1].subcategory, 'Developer Tools');
+  assert.equal(items[1].collectionId, 11);
+  assert.deepEqual(items[1].tags, ['open-source', 'developer-tools', 'tool']);
+  // The default subcategory fixture answers "None", so the video is filed under its category
+  assert.equal(items[3].subcategory, null);
+  assert.equal(items[3].collectionId, 20);
+  // The default category fixture is unsure, so the bookmark goes to review and stays in Unsorted
+  assert.equal(items[4].status, 'review');
+  assert.deepEqual(items[4].tags, ['article', 'needs-review']);
+
+  // Bookmarks 1 and 2 share a move and new tags, so one bulk call files both; only tags a bookmark
+  // doesn't have yet are sent
+  const requests = writes().map(({ url, body }) => ({ url, body })).sort((a, b) => a.url.localeCompare(b.url));
+  assert.deepEqual(requests, [
+    { url: '/raindrop/3', body: { collection: { $id: 20 }, tags: ['video', 'youtube'] } },
+    { url: '/raindrop/4', body: { collection: { $id: -1 }, tags: ['article', 'needs-review'] } },
+    { url: '/raindrops/-1', body: { ids: [1, 2], tags: ['developer-tools', 'open-source', 'tool'], collection: { $id: 11 } } }
+  ]);
+});
+
+test('batches fall back to the per-item prompts when the default batch fixture answers none of them', async () => {
+  const { summary, items, provider } = await run({ batchSize: 4 });
+
+  assert.equal(summary.classified, 4);
+  assert.match(provider.calls[0], /^Classify each of the following bookmarks/);
+  assert.equal(provider.calls.filter(prompt => prompt.startsWith('Classify the following bookmark')).length, 4);
+  assert.equal(items[1].collectionId, 11);
+});
+
+test('batch replies are used for the bookmarks they answer validly', async () => {
+  const provider = new FakeProvider({ fixtures: BATCH_FIXTURES });
+  const { summary, items } = await run({ batchSize: 3, provider, dryRun: true });
+
+  assert.equal(summary.classified, 4);
+  assert.equal(items[1].subcategory, 'Developer Tools');
+  assert.deepEqual(items[2].tags, ['open-source', 'tool']);
+  // Bookmark 3's batch entry names an unknown category, so it was classified on its own
+  assert.equal(items[3].category, 'Entertainment & Media');
+  const batchCalls = provider.calls.filter(prompt => prompt.startsWith('Classify each of the following bookmarks'));
+  assert.equal(batchCalls.length, 1);
+  // Dry runs don't touch Raindrop
+  assert.equal(writes().length, 0);
+});
+
+test('the fetch limit counts only bookmarks that pass the filter', async () => {
+  const fetched = await fetchAllUnsortedBookmarks(2, { skipTag: 'cats', filter: bookmark => bookmark._id !== 1 });
+
+  assert.deepEqual(fetched.map(bookmark => bookmark._id), [2, 4]);
+});
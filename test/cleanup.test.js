@@ -0,0 +1,50 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { TagManager } from '../lib/tag-manager.js';
+import { configureLogger } from '../lib/logger.js';
+import { updateTagRegistry } from '../lib/commands/cleanup.js';
+
+before(() => configureLogger({ level: 'error' }));
+
+function tagManagerWith(registry) {
+  const tagManager = new TagManager();
+  tagManager.registry = { tags: {}, aliases: {}, ...registry };
+  return tagManager;
+}
+
+const entry = (usageCount) => ({ category: 'Tech', usageCount, firstUsed: '2025-01-01T00:00:00.000Z' });
+
+test('approved groups become aliases and are recorded as merges', () => {
+  const tagManager = tagManagerWith({ tags: { javascript: entry(5), js: entry(2) } });
+  const bookmarks = [{ tags: ['javascript', 'node'], currentCategory: 'Tech', created: '2025-02-01T00:00:00.000Z' }];
+
+  const { added, skipped } = updateTagRegistry(tagManager, [
+    { canonical: 'javascript', variants: ['javascript', 'js'], reason: 'abbreviation' }
+  ], bookmarks, 'run-1');
+
+  assert.equal(added, 1);
+  assert.deepEqual(skipped, []);
+  assert.equal(tagManager.registry.aliases.js, 'javascript');
+  assert.equal(tagManager.registry.tags.javascript.usageCount, 7);
+  assert.equal(tagManager.registry.tags.js, undefined);
+  assert.deepEqual(tagManager.registry.merges.map(({ from, to, runId }) => ({ from, to, runId })), [{ from: 'js', to: 'javascript', runId: 'run-1' }]);
+});
+
+test('a pair the registry already aliases the other way round is skipped, and the rest still applied', () => {
+  // An earlier run mapped "machine-learning" to "ml"; cleanup now merged "ml" into "machine-learning"
+  const tagManager = tagManagerWith({
+    tags: { ml: entry(8), ai: entry(10), 'artificial-intelligence': entry(1) },
+    aliases: { 'machine-learning': 'ml' }
+  });
+
+  const { skipped } = updateTagRegistry(tagManager, [
+    { canonical: 'machine-learning', variants: ['machine-learning', 'ml'], reason: 'abbreviation' },
+    { canonical: 'ai', variants: ['ai', 'artificial-intelligence'], reason: 'abbreviation' }
+  ], [], 'run-2');
+
+  assert.deepEqual(skipped, [{ from: 'ml', to: 'machine-learning' }]);
+  assert.equal(tagManager.registry.aliases['machine-learning'], 'ml');
+  assert.equal(tagManager.registry.aliases.ml, undefined);
+  assert.equal(tagManager.registry.aliases['artificial-intelligence'], 'ai');
+  assert.deepEqual(tagManager.registry.merges.map(({ from }) => from), ['artificial-intelligence']);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { CONTENT_TYPES, detectContentType } from '../lib/content-types.js';
+
+// Each fixture is a bookmark ({ title, link, excerpt?, type? }) and the content type it should get
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/content-types.json', import.meta.url), 'utf8'));
+
+for (const { bookmark, expected } of fixtures) {
+  test(`${expected}: ${bookmark.link}${bookmark.type ? ` (type ${bookmark.type})` : ''} "${bookmark.title}"`, () => {
+    assert.equal(detectContentType(bookmark), expected);
+  });
+}
+
+test('fixtures only expect known content types', () => {
+  for (const { expected } of fixtures) {
+    assert.ok(CONTENT_TYPES.includes(expected), `unknown content type "${expected}"`);
+  }
+});
+
+test('bookmarks without a usable link fall back to the title', () => {
+  assert.equal(detectContentType({ title: 'Weekly podcast roundup', link: 'not a url' }), 'podcast');
+  assert.equal(detectContentType({ title: 'Untitled' }), 'article');
+});
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startSmtpStub } from './helpers/smtp-stub.js';
+import { EmailNotifier } from '../lib/notifiers/email.js';
+
+const message = { title: '✅ Raindrop classify completed', body: '3 classified, 3 moved\nFinance & Economics: 3' };
+let stub;
+
+afterEach(async () => {
+  delete process.env.TEST_SMTP_USER;
+  delete process.env.TEST_SMTP_PASSWORD;
+  await stub?.close();
+  stub = null;
+});
+
+function notifier(options = {}) {
+  return new EmailNotifier({
+    host: '127.0.0.1',
+    port: stub.port,
+    secure: false,
+    userEnv: 'TEST_SMTP_USER',
+    passwordEnv: 'TEST_SMTP_PASSWORD',
+    from: 'Raindrop Classifier <bot@example.com>',
+    to: ['me@example.com', 'Other <other@example.com>'],
+    ...options
+  });
+}
+
+test('sends the message to every recipient without auth when no user is set', async () => {
+  stub = await startSmtpStub();
+  await notifier().send(message);
+
+  assert.ok(!stub.commands.some(command => command.startsWith('AUTH')));
+  assert.ok(stub.commands.includes('MAIL FROM:<bot@example.com>'));
+  assert.ok(stub.commands.includes('RCPT TO:<me@example.com>'));
+  assert.ok(stub.commands.includes('RCPT TO:<other@example.com>'));
+
+  assert.equal(stub.messages.length, 1);
+  const [raw] = stub.messages;
+  assert.match(raw, /^From: Raindrop Classifier <bot@example\.com>$/m);
+  assert.match(raw, /^To: me@example\.com, Other <other@example\.com>$/m);
+  // Non-ASCII subjects are encoded
+  assert.match(raw, /^Subject: =\?UTF-8\?/m);
+});
+
+test('refuses to send the password when the server offers no STARTTLS', async () => {
+  stub = await startSmtpStub({ extensions: ['AUTH PLAIN'] });
+  process.env.TEST_SMTP_USER = 'bot';
+  process.env.TEST_SMTP_PASSWORD = 'secret';
+
+  await assert.rejects(notifier().send(message), /STARTTLS/);
+  assert.ok(!stub.commands.some(command => command.startsWith('AUTH')));
+  assert.equal(stub.messages.length, 0);
+});
+
+test('needs the password when a user is set', () => {
+  process.env.TEST_SMTP_USER = 'bot';
+  assert.throws(() => new EmailNotifier({ host: 'localhost', userEnv: 'TEST_SMTP_USER', passwordEnv: 'TEST_SMTP_PASSWORD', from: 'a@b.c', to: 'd@e.f' }),
+    /TEST_SMTP_PASSWORD is not set/);
+});
+
+test('fails with the server reply when a recipient is rejected', async () => {
+  stub = await startSmtpStub({ replies: { RCPT: '550 No such user here' } });
+
+  await assert.rejects(notifier().send(message), /550 No such user here/);
+  assert.equal(stub.messages.length, 0);
+});
+
+test('fails when nothing listens on the port', async () => {
+  stub = await startSmtpStub();
+  const { port } = stub;
+  await stub.close();
+  stub = null;
+
+  await assert.rejects(new EmailNotifier({ host: '127.0.0.1', port, secure: false, from: 'a@b.c', to: 'd@e.f' }).send(message), /ECONNREFUSED/);
+});
+
+test('connecting, the greeting and an idle connection all time out', () => {
+  const { options } = new EmailNotifier({ host: 'smtp.example.com', from: 'a@b.c', to: 'd@e.f' }).transport;
+
+  assert.equal(options.port, 587);
+  assert.equal(options.secure, false);
+  for (const timeout of ['connectionTimeout', 'greetingTimeout', 'socketTimeout']) {
+    assert.ok(options[timeout] > 0 && options[timeout] <= 60000, `${timeout} is ${options[timeout]}`);
+  }
+});
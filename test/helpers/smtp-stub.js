@@ -0,0 +1,83 @@
+import net from 'net';
+
+// Minimal plain-text SMTP server for tests (no TLS). Records every command and the messages sent
+// with DATA, advertises `extensions` in its EHLO reply, answers a command with `replies[VERB]`
+// (e.g. { RCPT: '550 No such user' }) instead of the usual success, and with `silent` never greets.
+export async function startSmtpStub({ extensions = [], replies = {}, silent = false } = {}) {
+  const commands = [];
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf8');
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            reply('250 Queued');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (replies[verb]) {
+          reply(replies[verb]);
+          continue;
+        }
+
+        switch (verb) {
+          case 'EHLO':
+            ['stub.localhost', ...extensions].forEach((text, i, lines) => reply(`250${i < lines.length - 1 ? '-' : ' '}${text}`));
+            break;
+          case 'STARTTLS':
+            // The stub only speaks plain text
+            reply('502 STARTTLS not supported');
+            break;
+          case 'AUTH':
+            reply('235 Authenticated');
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('250 OK');
+        }
+      }
+    });
+
+    if (!silent) reply('220 stub ESMTP');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    commands,
+    messages,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,33 @@
+import http from 'http';
+
+// Local HTTP server for tests: records every request ({ method, url, headers, body }) and answers
+// with `respond(request)`, which returns { status, body } (body is sent as JSON unless a string)
+export async function startStubServer(respond = () => ({ status: 200, body: {} })) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        // Not JSON; keep the raw text
+      }
+
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const { status = 200, body: reply = {} } = await respond(request);
+      res.writeHead(status, { 'Content-Type': typeof reply === 'string' ? 'text/plain' : 'application/json' });
+      res.end(typeof reply === 'string' ? reply : JSON.stringify(reply));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,146 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startStubServer } from './helpers/stub-server.js';
+import { configureLogger } from '../lib/logger.js';
+import { createNotifier, notify } from '../lib/notifiers/index.js';
+import { TelegramNotifier } from '../lib/notifiers/telegram.js';
+import { ChatWebhookNotifier } from '../lib/notifiers/chat-webhook.js';
+import { WebhookNotifier } from '../lib/notifiers/webhook.js';
+
+const report = {
+  command: 'classify',
+  runId: '2024-06-02T03-00-01-000Z-classify',
+  status: 'completed_with_failures',
+  dryRun: false,
+  durationMs: 12000,
+  counts: { bookmarks: 3, classified: 3, moved: 2, failed: 1 },
+  categories: { 'Finance & Economics': 2 },
+  review: [],
+  newTags: [],
+  consolidations: [],
+  failures: [{ id: 7, title: 'Broken', stage: 'apply', error: 'HTTP 500' }],
+  usage: null
+};
+const message = { title: '⚠️ Raindrop classify completed_with_failures', body: '2 moved, 1 failed' };
+
+let server;
+
+before(async () => {
+  server = await startStubServer(({ url }) => url.startsWith('/fail')
+    ? { status: 400, body: 'invalid_payload' }
+    : { body: { ok: true } });
+  configureLogger({ level: 'error' });
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  server.requests.length = 0;
+});
+
+test('telegram posts plain text to the bot API with the chat ID', async () => {
+  process.env.TEST_TELEGRAM_TOKEN = '123:abc';
+  process.env.TEST_TELEGRAM_CHAT = '-1001';
+  const notifier = new TelegramNotifier({ botTokenEnv: 'TEST_TELEGRAM_TOKEN', chatIdEnv: 'TEST_TELEGRAM_CHAT', apiUrl: `${server.url}/` });
+  await notifier.send(message, report);
+
+  assert.equal(server.requests.length, 1);
+  const [{ method, url, body }] = server.requests;
+  assert.equal(method, 'POST');
+  assert.equal(url, '/bot123:abc/sendMessage');
+  assert.deepEqual(body, {
+    chat_id: '-1001',
+    text: `${message.title}\n\n${message.body}`,
+    disable_web_page_preview: true
+  });
+});
+
+test('telegram caps messages at 4096 characters', async () => {
+  process.env.TEST_TELEGRAM_TOKEN = '123:abc';
+  process.env.TEST_TELEGRAM_CHAT = '-1001';
+  const notifier = new TelegramNotifier({ botTokenEnv: 'TEST_TELEGRAM_TOKEN', chatIdEnv: 'TEST_TELEGRAM_CHAT', apiUrl: server.url });
+  await notifier.send({ title: 'Long', body: 'x'.repeat(5000) }, report);
+
+  assert.equal(server.requests[0].body.text.length, 4096);
+});
+
+test('telegram needs its token and chat ID', () => {
+  delete process.env.TEST_TELEGRAM_MISSING;
+  assert.throws(
+    () => new TelegramNotifier({ botTokenEnv: 'TEST_TELEGRAM_MISSING', chatIdEnv: 'TEST_TELEGRAM_CHAT' }),
+    /TEST_TELEGRAM_MISSING is not set/
+  );
+});
+
+test('slack sends the message as "text"', async () => {
+  process.env.TEST_SLACK_URL = `${server.url}/slack/hook`;
+  await new ChatWebhookNotifier('slack', { webhookUrlEnv: 'TEST_SLACK_URL' }).send(message, report);
+
+  assert.equal(server.requests[0].url, '/slack/hook');
+  assert.deepEqual(server.requests[0].body, { text: `${message.title}\n\n${message.body}` });
+});
+
+test('discord sends the message as "content", capped at 2000 characters', async () => {
+  process.env.TEST_DISCORD_URL = `${server.url}/discord/hook`;
+  await new ChatWebhookNotifier('discord', { webhookUrlEnv: 'TEST_DISCORD_URL' }).send({ title: 'Long', body: 'x'.repeat(3000) }, report);
+
+  assert.equal(server.requests[0].url, '/discord/hook');
+  assert.deepEqual(Object.keys(server.requests[0].body), ['content']);
+  assert.equal(server.requests[0].body.content.length, 2000);
+});
+
+test('webhook posts the message and the full report with the configured headers', async () => {
+  await new WebhookNotifier({ url: `${server.url}/webhook`, headers: { 'X-Source': 'raindrop-classifier' } }).send(message, report);
+
+  const [{ url, headers, body }] = server.requests;
+  assert.equal(url, '/webhook');
+  assert.equal(headers['x-source'], 'raindrop-classifier');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.deepEqual(body, { title: message.title, text: message.body, report });
+});
+
+test('webhook URLs can come from the environment', async () => {
+  process.env.TEST_WEBHOOK_URL = `${server.url}/from-env`;
+  await createNotifier({ type: 'webhook', urlEnv: 'TEST_WEBHOOK_URL' }).send(message, report);
+
+  assert.equal(server.requests[0].url, '/from-env');
+});
+
+test('a non-2xx response fails with the status and the start of the body', async () => {
+  const notifier = new WebhookNotifier({ url: `${server.url}/fail` });
+  await assert.rejects(notifier.send(message, report), /HTTP 400: invalid_payload/);
+});
+
+test('notify renders the report for every wanted channel and never throws', async () => {
+  process.env.TEST_SLACK_URL = `${server.url}/slack/hook`;
+  delete process.env.TEST_DISCORD_MISSING;
+
+  await notify({
+    on: 'always',
+    templates: { title: '{{command}} {{status}}' },
+    channels: [
+      { type: 'slack', webhookUrlEnv: 'TEST_SLACK_URL' },
+      { type: 'webhook', url: `${server.url}/fail` },
+      { type: 'discord', webhookUrlEnv: 'TEST_DISCORD_MISSING' }
+    ]
+  }, report);
+
+  const urls = server.requests.map(request => request.url).sort();
+  assert.deepEqual(urls, ['/fail', '/slack/hook']);
+  const slack = server.requests.find(request => request.url === '/slack/hook');
+  assert.match(slack.body.text, /^classify completed_with_failures\n\n/);
+});
+
+test('"failure" channels only hear about runs with failures', async () => {
+  const notifications = {
+    on: 'failure',
+    templates: {},
+    channels: [{ type: 'webhook', url: `${server.url}/webhook` }]
+  };
+
+  await notify(notifications, { ...report, status: 'completed', failures: [] });
+  assert.equal(server.requests.length, 0);
+
+  await notify(notifications, report);
+  assert.equal(server.requests.length, 1);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunReport } from '../lib/run-report.js';
+
+const items = [
+  { id: 1, title: 'Filed', category: 'News', subcategory: null, status: 'moved' },
+  { id: 2, title: 'Filed too', category: 'Tech', subcategory: 'AI', status: 'moved' },
+  { id: 3, title: 'Unsure', category: 'News', subcategory: null, status: 'review', review: 'low confidence (0.40)' },
+  { id: 4, title: 'Broken', category: 'News', subcategory: null, status: 'failed', error: 'HTTP 500' }
+];
+
+test('categories only count filed bookmarks; review and failed ones are reported separately', () => {
+  const report = new RunReport('classify');
+  report.addSummary({ classified: 4, moved: 2, reviewed: 1, failed: 1, items, errors: [] });
+
+  assert.deepEqual(report.report.categories, { News: 1, 'Tech / AI': 1 });
+  assert.deepEqual(report.report.review, [{ id: 3, title: 'Unsure', category: 'News', reason: 'low confidence (0.40)' }]);
+  assert.deepEqual(report.report.failures, [{ id: 4, title: 'Broken', stage: 'apply', error: 'HTTP 500' }]);
+});
+
+test('dry runs count the bookmarks that would be filed', () => {
+  const report = new RunReport('plan', { dryRun: true });
+  const proposed = items.map(({ status, ...item }) => item);
+  report.addSummary({ classified: 4, items: proposed, errors: [] });
+
+  assert.deepEqual(report.report.categories, { News: 2, 'Tech / AI': 1 });
+  assert.equal(report.report.review.length, 1);
+});
+
+test('reviewed items applied from a plan are not counted as filed', () => {
+  const report = new RunReport('apply');
+  report.addSummary({ moved: 2, failed: 0, items: [items[0], { ...items[2], status: 'moved' }], errors: [] });
+
+  assert.deepEqual(report.report.categories, { News: 1 });
+});
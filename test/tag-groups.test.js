@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TagManager } from '../lib/tag-manager.js';
+import { batchSimilarTags, reconcileGroups } from '../lib/tag-groups.js';
+
+const tagManager = new TagManager();
+
+const batchOf = (batches, tag) => batches.findIndex(batch => batch.includes(tag));
+
+test('likely duplicates share a batch', () => {
+  const tags = ['react', 'tests', 'ml', 'reactjs', 'music', 'testing', 'machine-learning', 'react-js', 'tools', 'travel'];
+  const { batches, clusters } = batchSimilarTags(tags, 4, tagManager);
+
+  assert.deepEqual(batches.flat().sort(), [...tags].sort());
+  assert.ok(batches.every(batch => batch.length <= 4));
+  // Same compacted spelling, a shared stem, and initials
+  assert.equal(batchOf(batches, 'react-js'), batchOf(batches, 'reactjs'));
+  assert.equal(batchOf(batches, 'reactjs'), batchOf(batches, 'react'));
+  assert.equal(batchOf(batches, 'tests'), batchOf(batches, 'testing'));
+  assert.equal(batchOf(batches, 'ml'), batchOf(batches, 'machine-learning'));
+  assert.ok(clusters >= 3);
+});
+
+test('a cluster never grows past the batch size', () => {
+  const tags = ['test', 'tests', 'testing', 'tested', 'testes'];
+  const { batches } = batchSimilarTags(tags, 2, tagManager);
+
+  assert.ok(batches.every(batch => batch.length <= 2));
+  assert.deepEqual(batches.flat().sort(), [...tags].sort());
+});
+
+test('chains collapse to the tag at their end', () => {
+  const usage = new Map([['js', 2], ['javascript-lang', 1], ['javascript', 9]]);
+  const { groups, chains, conflicts } = reconcileGroups([
+    { canonical: 'javascript-lang', variants: ['js', 'javascript-lang'], reason: 'abbreviation' },
+    { canonical: 'javascript', variants: ['javascript-lang', 'javascript'], reason: 'same language' }
+  ], usage);
+
+  assert.deepEqual(groups, [{ canonical: 'javascript', variants: ['javascript', 'js', 'javascript-lang'], reason: 'abbreviation; same language' }]);
+  assert.equal(chains, 1);
+  assert.equal(conflicts, 0);
+});
+
+test('a variant claimed by two groups goes to the most used canonical', () => {
+  const usage = new Map([['ai', 20], ['ml', 5], ['artificial-intelligence', 3]]);
+  const { groups, conflicts } = reconcileGroups([
+    { canonical: 'ml', variants: ['ml', 'artificial-intelligence'], reason: 'first' },
+    { canonical: 'ai', variants: ['ai', 'artificial-intelligence'], reason: 'second' }
+  ], usage);
+
+  assert.deepEqual(groups, [{ canonical: 'ai', variants: ['ai', 'artificial-intelligence'], reason: 'second' }]);
+  assert.equal(conflicts, 1);
+});
+
+test('a tie keeps the first group\'s canonical', () => {
+  const usage = new Map([['a', 1], ['b', 1], ['c', 1]]);
+  const { groups } = reconcileGroups([
+    { canonical: 'a', variants: ['c'] },
+    { canonical: 'b', variants: ['c'] }
+  ], usage);
+
+  assert.deepEqual(groups.map(group => group.canonical), ['a']);
+});
+
+test('cycles are broken at their most used tag', () => {
+  const usage = new Map([['ux', 4], ['user-experience', 9], ['ux-design', 2]]);
+  const { groups } = reconcileGroups([
+    { canonical: 'user-experience', variants: ['ux'] },
+    { canonical: 'ux-design', variants: ['user-experience'] },
+    { canonical: 'ux', variants: ['ux-design'] }
+  ], usage);
+
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].canonical, 'user-experience');
+  assert.deepEqual([...groups[0].variants].sort(), ['user-experience', 'ux', 'ux-design']);
+});
+
+test('variants the model made up are dropped', () => {
+  const usage = new Map([['python', 10], ['py', 3]]);
+  const { groups } = reconcileGroups([
+    { canonical: 'python', variants: ['python', 'py', 'pyhton'] }
+  ], usage);
+
+  assert.deepEqual(groups, [{ canonical: 'python', variants: ['python', 'py'], reason: '' }]);
+});